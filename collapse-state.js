@@ -0,0 +1,87 @@
+// collapse-state.js - Which branches of a tree view are folded away
+// Kept in localStorage so each browser keeps its own working view
+
+class CollapseState {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.collapsed = new Set();
+    this.load();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      if (Array.isArray(saved)) this.collapsed = new Set(saved);
+    } catch (error) {
+      console.error('Could not read collapsed branches:', error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify([...this.collapsed]));
+    } catch (error) {
+      console.error('Could not save collapsed branches:', error);
+    }
+  }
+
+  isCollapsed(personId) {
+    return this.collapsed.has(personId);
+  }
+
+  /**
+   * Fold or unfold one branch; returns true if it is now folded
+   */
+  toggle(personId) {
+    if (this.collapsed.has(personId)) {
+      this.collapsed.delete(personId);
+    } else {
+      this.collapsed.add(personId);
+    }
+    this.save();
+    return this.collapsed.has(personId);
+  }
+
+  expandAll() {
+    this.collapsed.clear();
+    this.save();
+  }
+
+  /**
+   * Unfold these branches; returns true if any of them were folded
+   */
+  expand(personIds) {
+    const before = this.collapsed.size;
+    personIds.forEach(personId => this.collapsed.delete(personId));
+    if (this.collapsed.size === before) return false;
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Fold exactly these branches and unfold every other one
+   */
+  collapseOnly(personIds) {
+    this.collapsed = new Set(personIds);
+    this.save();
+  }
+}
+
+/**
+ * Number of people below personId, following getChildIds(id) -> [ids]
+ */
+function countBranchDescendants(personId, getChildIds) {
+  const seen = new Set([personId]);
+  const queue = [personId];
+
+  while (queue.length > 0) {
+    for (const childId of getChildIds(queue.shift())) {
+      if (seen.has(childId)) continue;
+      seen.add(childId);
+      queue.push(childId);
+    }
+  }
+
+  return seen.size - 1;
+}
@@ -0,0 +1,227 @@
+// duplicates.js - Find people who may have been entered twice
+// Works on a Map of id -> person and a generation index. Uses
+// normalizeIndicName from name-search.js
+
+const DUPLICATE_RELATIONS = ['parents', 'spouses', 'children'];
+const DUPLICATE_RELATION_LABELS = { parents: 'parent', spouses: 'spouse', children: 'child' };
+
+/**
+ * Score pairs of people that may be the same person. Only pairs with at
+ * least one relative in common, by id or by name, are listed; the tree
+ * reuses names across generations, so a name alone says little.
+ * Returns [{ aId, bId, score, nameScore, relativeScore, generationScore, reasons }]
+ * sorted from most to least likely.
+ */
+function findDuplicateCandidates(peopleMap, generationIndex, options = {}) {
+  const minScore = options.minScore !== undefined ? options.minScore : 0.6;
+  const minNameScore = options.minNameScore !== undefined ? options.minNameScore : 0.8;
+
+  // Only compare people whose names start alike once spelling variants
+  // are folded (Yenka/Venkata); comparing every pair would not scale to
+  // thousands of people
+  const blocks = new Map();
+  for (const person of peopleMap.values()) {
+    const key = foldPersonName(person.name).slice(0, 2);
+    if (!key) continue;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(person);
+  }
+
+  const candidates = [];
+
+  for (const block of blocks.values()) {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const candidate = scoreDuplicatePair(block[i], block[j], peopleMap, generationIndex);
+        if (candidate && candidate.nameScore >= minNameScore && candidate.score >= minScore) {
+          candidates.push(candidate);
+        }
+      }
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score one pair, or return null when they cannot be the same person
+ */
+function scoreDuplicatePair(a, b, peopleMap, generationIndex) {
+  if (a.gender !== b.gender && a.gender !== 'unknown' && b.gender !== 'unknown') return null;
+  if (a.spouses.includes(b.id) || b.spouses.includes(a.id)) return null;
+  if (isDescendantOf(b.id, a.id, peopleMap) || isDescendantOf(a.id, b.id, peopleMap)) return null;
+
+  // A parent-in-law or a spouse's child from another marriage
+  const inLaws = (person, other) => person.spouses.some(id => other.parents.includes(id) || other.children.includes(id));
+  if (inLaws(a, b) || inLaws(b, a)) return null;
+
+  const reasons = [];
+
+  const nameA = normalizePersonName(a.name);
+  const nameB = normalizePersonName(b.name);
+  const foldedA = foldPersonName(a.name);
+  const foldedB = foldPersonName(b.name);
+  const nameScore = nameA === nameB ? 1
+    : foldedA === foldedB ? 0.95
+    : Math.max(jaroWinkler(nameA, nameB), jaroWinkler(foldedA, foldedB));
+
+  // Siblings with different names are different people; a shared parent
+  // only hints at a double entry when the names are identical
+  if (nameScore < 1 && a.parents.some(id => b.parents.includes(id))) return null;
+
+  reasons.push(nameScore === 1 ? 'Names match exactly' : `Similar names (${Math.round(nameScore * 100)}%)`);
+
+  const relatives = compareRelatives(a, b, peopleMap);
+  if (relatives.sharedIds === 0 && relatives.matchingNames.length === 0) return null;
+  if (relatives.sharedIds > 0) {
+    reasons.push(`Share ${relatives.sharedIds} recorded relative${relatives.sharedIds > 1 ? 's' : ''}`);
+  }
+  if (relatives.matchingNames.length > 0) {
+    reasons.push(`Relatives with matching names: ${relatives.matchingNames.join(', ')}`);
+  }
+
+  const genA = generationIndex ? generationIndex.get(a.id) : undefined;
+  const genB = generationIndex ? generationIndex.get(b.id) : undefined;
+  let generationScore = 0.5;
+  if (genA !== undefined && genB !== undefined) {
+    const gap = Math.abs(genA - genB);
+    generationScore = gap === 0 ? 1 : gap === 1 ? 0.4 : 0;
+    reasons.push(gap === 0 ? `Same generation (${genA})` : `Generations ${genA} and ${genB}`);
+  }
+
+  const score = nameScore * 0.5 + relatives.score * 0.3 + generationScore * 0.2;
+
+  return {
+    aId: a.id,
+    bId: b.id,
+    score: score,
+    nameScore: nameScore,
+    relativeScore: relatives.score,
+    generationScore: generationScore,
+    reasons: reasons
+  };
+}
+
+/**
+ * Compare two people's relatives by id and by name. Duplicates entered
+ * from different sources usually have duplicated relatives too, so
+ * matching names count as much as shared ids. A shared id counts only
+ * when it is the same kind of relative for both (a shared parent, spouse
+ * or child); a father-in-law shares a son with his daughter-in-law, but
+ * as child and as spouse.
+ */
+function compareRelatives(a, b, peopleMap) {
+  const keysFor = person => {
+    const keys = new Map();
+    for (const relation of DUPLICATE_RELATIONS) {
+      for (const id of person[relation] || []) {
+        const relative = peopleMap.get(id);
+        if (!relative || id === a.id || id === b.id) continue;
+        keys.set(`${relation}:${normalizePersonName(relative.name)}`, { id, name: relative.name, relation });
+      }
+    }
+    return keys;
+  };
+
+  const keysA = keysFor(a);
+  const keysB = keysFor(b);
+  const idsB = new Set([...keysB.values()].map(entry => `${entry.relation}:${entry.id}`));
+
+  let sharedIds = 0;
+  const matchingNames = [];
+
+  for (const [key, entry] of keysA) {
+    if (idsB.has(`${entry.relation}:${entry.id}`)) {
+      sharedIds++;
+    } else if (keysB.has(key)) {
+      matchingNames.push(`${entry.name} (${DUPLICATE_RELATION_LABELS[entry.relation]})`);
+    }
+  }
+
+  const union = new Set([...keysA.keys(), ...keysB.keys()]).size;
+  const score = union === 0 ? 0 : Math.min(1, (sharedIds + matchingNames.length) / union * 1.5);
+
+  return { score, sharedIds, matchingNames };
+}
+
+/**
+ * Whether candidateId is below ancestorId through recorded children
+ */
+function isDescendantOf(candidateId, ancestorId, peopleMap) {
+  const seen = new Set([ancestorId]);
+  const queue = [ancestorId];
+
+  while (queue.length > 0) {
+    const person = peopleMap.get(queue.shift());
+    if (!person) continue;
+
+    for (const childId of person.children || []) {
+      if (childId === candidateId) return true;
+      if (!seen.has(childId)) {
+        seen.add(childId);
+        queue.push(childId);
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * A name with each word folded to its common spelling: "Venkata Bhat"
+ * and "Yenka Bhatta" become "venkat bat" and "venk bat"
+ */
+function foldPersonName(name) {
+  return normalizePersonName(name).split(' ').map(normalizeIndicName).filter(Boolean).join(' ');
+}
+
+function normalizePersonName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaro-Winkler similarity between two strings, 0 to 1
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - range);
+    const end = Math.min(b.length, i + range + 1);
+    for (let j = start; j < end; j++) {
+      if (matchedB[j] || a[i] !== b[j]) continue;
+      matchedA[i] = true;
+      matchedB[j] = true;
+      matches++;
+      break;
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
@@ -0,0 +1,164 @@
+// edit-history.js - Undo/redo command history for family tree edits
+// Works with FamilyTreeEditor: every record the editor touches inside a
+// command is snapshotted before and after, so commands can be replayed
+// in either direction without copying the whole tree
+
+class EditHistory {
+  constructor(treeData, peopleMap, editor, limit = 200) {
+    this.treeData = treeData;
+    this.peopleMap = peopleMap;
+    this.editor = editor;
+    this.limit = limit;
+
+    this.entries = [];
+    this.position = 0;
+    this.pending = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Run a change as one undoable command. If it throws, everything it
+   * touched is put back and the error is rethrown.
+   */
+  execute(label, change) {
+    if (this.pending) {
+      return change();
+    }
+
+    this.pending = new Map();
+    this.editor.recorder = this;
+
+    let result;
+    try {
+      result = change();
+    } catch (error) {
+      const snapshots = [...this.pending.values()];
+      this.finishCommand();
+      this.restore(snapshots.reverse(), 'before');
+      throw error;
+    }
+
+    const snapshots = [...this.pending.values()];
+    this.finishCommand();
+
+    if (snapshots.length === 0) return result;
+
+    for (const snapshot of snapshots) {
+      const person = this.peopleMap.get(snapshot.id);
+      snapshot.after = person ? clonePersonRecord(person) : null;
+      snapshot.afterIndex = person ? this.treeData.people.indexOf(person) : -1;
+    }
+
+    // A new command discards anything that was undone
+    this.entries.splice(this.position);
+    this.entries.push({
+      label: label,
+      timestamp: new Date(),
+      snapshots: snapshots
+    });
+
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+    this.position = this.entries.length;
+
+    this.notify();
+    return result;
+  }
+
+  /**
+   * Called by the editor before it changes a record
+   */
+  capture(personId) {
+    if (!this.pending || this.pending.has(personId)) return;
+
+    const person = this.peopleMap.get(personId);
+    this.pending.set(personId, {
+      id: personId,
+      before: person ? clonePersonRecord(person) : null,
+      beforeIndex: person ? this.treeData.people.indexOf(person) : -1
+    });
+  }
+
+  finishCommand() {
+    this.pending = null;
+    this.editor.recorder = null;
+  }
+
+  canUndo() {
+    return this.position > 0;
+  }
+
+  canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  undo() {
+    if (!this.canUndo()) return null;
+
+    const entry = this.entries[--this.position];
+    this.restore([...entry.snapshots].reverse(), 'before');
+    this.notify();
+    return entry;
+  }
+
+  redo() {
+    if (!this.canRedo()) return null;
+
+    const entry = this.entries[this.position++];
+    this.restore(entry.snapshots, 'after');
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Undo or redo until exactly `position` commands are applied
+   */
+  revertTo(position) {
+    const target = Math.max(0, Math.min(position, this.entries.length));
+    while (this.position > target) this.undo();
+    while (this.position < target) this.redo();
+  }
+
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.notify();
+  }
+
+  /**
+   * Put records back to their `before` or `after` state. Existing
+   * objects are updated in place so references held elsewhere stay valid.
+   */
+  restore(snapshots, side) {
+    for (const snapshot of snapshots) {
+      const state = snapshot[side];
+      const index = side === 'before' ? snapshot.beforeIndex : snapshot.afterIndex;
+      const current = this.peopleMap.get(snapshot.id);
+
+      if (!state) {
+        if (current) {
+          const currentIndex = this.treeData.people.indexOf(current);
+          if (currentIndex !== -1) this.treeData.people.splice(currentIndex, 1);
+          this.peopleMap.delete(snapshot.id);
+        }
+      } else if (current) {
+        for (const key of Object.keys(current)) delete current[key];
+        Object.assign(current, clonePersonRecord(state));
+      } else {
+        const person = clonePersonRecord(state);
+        const at = index >= 0 ? Math.min(index, this.treeData.people.length) : this.treeData.people.length;
+        this.treeData.people.splice(at, 0, person);
+        this.peopleMap.set(person.id, person);
+      }
+    }
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
+
+function clonePersonRecord(person) {
+  return JSON.parse(JSON.stringify(person));
+}
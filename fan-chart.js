@@ -0,0 +1,249 @@
+// fan-chart.js - Radial fan chart of a person's ancestors or descendants
+// Each generation is a ring and each person an arc sized by how many
+// descendants they have. Uses kinshipChildren from relationship.js and
+// findPedigreeParents from pedigree.js
+
+const FAN_COLORS = {
+  male: 'rgba(100, 200, 255, 0.8)',
+  female: 'rgba(255, 150, 200, 0.8)',
+  unknown: 'rgba(200, 200, 200, 0.8)',
+  placeholder: 'rgba(255, 255, 255, 0.15)'
+};
+
+class FanChart {
+  constructor(peopleMap, container, options = {}) {
+    this.peopleMap = peopleMap;
+    this.container = container;
+    this.mode = options.mode || 'descendants';
+    this.generations = options.generations || 6;
+    this.onSelect = options.onSelect || null;
+    this.onOpen = options.onOpen || null;
+
+    this.rootId = null;
+    this.svg = null;
+    this.descendantCounts = new Map();
+
+    // Configuration
+    this.centerRadius = 60;
+    this.ringWidth = 70;
+  }
+
+  /**
+   * Draw the fan for personId into the container
+   */
+  render(personId) {
+    this.rootId = personId;
+    this.descendantCounts.clear();
+    this.container.innerHTML = '';
+
+    const person = this.peopleMap.get(personId);
+    if (!person) return;
+
+    const root = this.buildNode(person, 0, new Set());
+    const rings = this.maxDepth(root);
+    const radius = this.centerRadius + rings * this.ringWidth + 10;
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('viewBox', `${-radius} ${-radius} ${radius * 2} ${radius * 2}`);
+    svg.setAttribute('class', 'fan-chart');
+    svg.setAttribute('font-family', 'Segoe UI, Tahoma, Geneva, Verdana, sans-serif');
+
+    this.drawCenter(svg, root);
+    this.drawChildren(svg, root, 0, Math.PI * 2);
+
+    this.container.appendChild(svg);
+    this.svg = svg;
+  }
+
+  /**
+   * Node tree for the chosen direction. In ancestor mode a node's
+   * "children" are its father and mother slots; missing parents of a
+   * known person become placeholders.
+   */
+  buildNode(person, depth, path) {
+    const node = { person: person, depth: depth, children: [] };
+    if (!person || depth >= this.generations - 1 || path.has(person.id)) return node;
+
+    const nextPath = new Set(path).add(person.id);
+
+    if (this.mode === 'ancestors') {
+      const { father, mother } = findPedigreeParents(person, this.peopleMap);
+      node.children = [father, mother].map(parent => parent
+        ? this.buildNode(parent, depth + 1, nextPath)
+        : { person: null, depth: depth + 1, children: [] });
+    } else {
+      node.children = kinshipChildren(person, this.peopleMap)
+        .map(id => this.buildNode(this.peopleMap.get(id), depth + 1, nextPath));
+    }
+
+    return node;
+  }
+
+  maxDepth(node) {
+    return node.children.reduce((deepest, child) => Math.max(deepest, this.maxDepth(child)), node.depth);
+  }
+
+  /**
+   * Arc weight: the person plus everyone descended from them. A missing
+   * parent takes the weight of the recorded one so the halves stay even.
+   */
+  weightOf(node, sibling) {
+    if (!node.person) return sibling && sibling.person ? this.weightOf(sibling) : 1;
+    return 1 + this.countDescendants(node.person.id);
+  }
+
+  countDescendants(personId) {
+    if (this.descendantCounts.has(personId)) return this.descendantCounts.get(personId);
+
+    const seen = new Set([personId]);
+    const queue = [personId];
+    while (queue.length > 0) {
+      const person = this.peopleMap.get(queue.shift());
+      for (const childId of kinshipChildren(person, this.peopleMap)) {
+        if (seen.has(childId)) continue;
+        seen.add(childId);
+        queue.push(childId);
+      }
+    }
+
+    this.descendantCounts.set(personId, seen.size - 1);
+    return seen.size - 1;
+  }
+
+  /**
+   * Split [start, end) between the node's children by weight, then recurse
+   */
+  drawChildren(svg, node, start, end) {
+    if (node.children.length === 0) return;
+
+    const weights = node.children.map((child, index) =>
+      this.weightOf(child, node.children[node.children.length - 1 - index]));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let angle = start;
+    node.children.forEach((child, index) => {
+      const span = (end - start) * weights[index] / total;
+      this.drawSegment(svg, child, angle, angle + span);
+      this.drawChildren(svg, child, angle, angle + span);
+      angle += span;
+    });
+  }
+
+  drawCenter(svg, node) {
+    const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    circle.setAttribute('r', this.centerRadius);
+    circle.setAttribute('fill', FAN_COLORS[node.person.gender] || FAN_COLORS.unknown);
+    circle.setAttribute('stroke', 'white');
+    circle.setAttribute('stroke-width', 2);
+    circle.setAttribute('data-fan-person', node.person.id);
+    circle.style.cursor = 'pointer';
+    this.addTitle(circle, `${node.person.name} (show details)`);
+    circle.addEventListener('click', () => {
+      if (this.onOpen) this.onOpen(node.person);
+    });
+    svg.appendChild(circle);
+
+    const label = this.createLabel(node.person.name, 0, 0, 0, 14, 16);
+    label.setAttribute('font-weight', 'bold');
+    svg.appendChild(label);
+  }
+
+  drawSegment(svg, node, start, end) {
+    const inner = this.centerRadius + (node.depth - 1) * this.ringWidth;
+    const outer = inner + this.ringWidth;
+
+    const segment = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    segment.setAttribute('d', describeFanArc(inner, outer, start, end));
+    segment.setAttribute('fill', node.person ? FAN_COLORS[node.person.gender] || FAN_COLORS.unknown : FAN_COLORS.placeholder);
+    segment.setAttribute('stroke', 'white');
+    segment.setAttribute('stroke-width', 1);
+    svg.appendChild(segment);
+
+    if (!node.person) {
+      segment.setAttribute('stroke-dasharray', '4 4');
+      this.addTitle(segment, 'Not recorded');
+      return;
+    }
+
+    const person = node.person;
+    segment.setAttribute('data-fan-person', person.id);
+    segment.style.cursor = 'pointer';
+    const count = this.countDescendants(person.id);
+    this.addTitle(segment, `${person.name} · ${count} descendant${count === 1 ? '' : 's'}`);
+    segment.addEventListener('click', () => {
+      if (this.onSelect) {
+        this.onSelect(person);
+      } else {
+        this.render(person.id);
+      }
+    });
+
+    // Label along the radius, skipped when the arc is too thin to read
+    const middle = (start + end) / 2;
+    const radius = (inner + outer) / 2;
+    if ((end - start) * radius < 10) return;
+
+    const x = Math.sin(middle) * radius;
+    const y = -Math.cos(middle) * radius;
+    let rotation = middle * 180 / Math.PI - 90;
+    if (middle > Math.PI) rotation += 180;
+
+    const maxChars = Math.floor(this.ringWidth / 6);
+    svg.appendChild(this.createLabel(person.name, x, y, rotation, 10, maxChars));
+  }
+
+  createLabel(text, x, y, rotation, fontSize, maxChars) {
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.setAttribute('font-size', fontSize);
+    label.setAttribute('fill', '#1a1a2e');
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('dominant-baseline', 'middle');
+    label.setAttribute('pointer-events', 'none');
+    if (rotation) label.setAttribute('transform', `rotate(${rotation} ${x} ${y})`);
+    label.textContent = text.length > maxChars ? text.slice(0, maxChars - 1) + '…' : text;
+    return label;
+  }
+
+  addTitle(element, text) {
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.textContent = text;
+    element.appendChild(title);
+  }
+
+  /**
+   * Standalone SVG document of the current chart
+   */
+  toSVGString() {
+    if (!this.svg) return '';
+
+    const copy = this.svg.cloneNode(true);
+    copy.removeAttribute('class');
+    const size = copy.getAttribute('viewBox').split(' ')[2];
+    copy.setAttribute('width', size);
+    copy.setAttribute('height', size);
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(copy);
+  }
+}
+
+/**
+ * Ring segment between two radii and two angles (radians clockwise from
+ * twelve o'clock)
+ */
+function describeFanArc(inner, outer, start, end) {
+  // A full ring would start and end on the same point, which draws nothing
+  const sweep = Math.min(end - start, Math.PI * 2 - 0.0001);
+  const finish = start + sweep;
+  const largeArc = sweep > Math.PI ? 1 : 0;
+  const point = (radius, angle) => `${Math.sin(angle) * radius} ${-Math.cos(angle) * radius}`;
+
+  return [
+    `M ${point(outer, start)}`,
+    `A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, finish)}`,
+    `L ${point(inner, finish)}`,
+    `A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, start)}`,
+    'Z'
+  ].join(' ');
+}
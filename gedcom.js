@@ -0,0 +1,443 @@
+// gedcom.js - Read GEDCOM 5.5.1 and 7.0 files into the people schema,
+// and write the tree back out as GEDCOM 5.5.1
+// Individuals (INDI) and families (FAM) are mapped; every other tag is
+// counted so the importer can say what was left out. Uses
+// generatePersonId and addLinkId from tree-editor.js, and kinshipParents
+// and kinshipChildren from relationship.js
+
+// Records that carry no people and are skipped without a mention
+const GEDCOM_IGNORED_RECORDS = ['HEAD', 'TRLR', 'NOTE', 'SNOTE', 'SUBM'];
+
+/**
+ * Split GEDCOM text into records shaped { level, xref, tag, value,
+ * children, line }. CONT and CONC lines are folded into the value of
+ * the line they continue.
+ */
+function parseGedcomLines(text) {
+  const records = [];
+  const stack = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/^\s+/, '');
+    if (!line) return;
+
+    const lineNumber = index + 1;
+    const match = line.match(/^(\d+) +(?:(@[^@]+@) +)?([A-Za-z0-9_]+)(?: (.*))?$/);
+    if (!match) {
+      throw new Error(`Line ${lineNumber} is not valid GEDCOM: "${line.slice(0, 40)}"`);
+    }
+
+    const level = parseInt(match[1], 10);
+    if (level > stack.length) {
+      throw new Error(`Line ${lineNumber} jumps from level ${stack.length - 1} to ${level}`);
+    }
+
+    const node = {
+      level: level,
+      xref: match[2] || null,
+      tag: match[3].toUpperCase(),
+      // Literal @ signs are written doubled: every one in 5.5.1, a
+      // leading one in 7.0
+      value: (match[4] || '').replace(/@@/g, '@'),
+      children: [],
+      line: lineNumber
+    };
+
+    if (node.tag === 'CONT' || node.tag === 'CONC') {
+      const parent = stack[level - 1];
+      if (!parent) throw new Error(`Line ${lineNumber} continues nothing`);
+      parent.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+      return;
+    }
+
+    if (level === 0) {
+      records.push(node);
+    } else {
+      stack[level - 1].children.push(node);
+    }
+    stack.length = level;
+    stack.push(node);
+  });
+
+  return records;
+}
+
+function gedcomChild(node, tag) {
+  return node ? node.children.find(child => child.tag === tag) || null : null;
+}
+
+/**
+ * Turn GEDCOM text into new people records with fresh ids.
+ * Returns { people, familyCount, version, warnings, unmapped } where
+ * unmapped lists [{ tag, count }] for tags that had nowhere to go.
+ */
+function importGedcom(text) {
+  const records = parseGedcomLines(text);
+  if (records.length === 0 || records[0].tag !== 'HEAD') {
+    throw new Error('This does not look like a GEDCOM file: it does not start with a HEAD record');
+  }
+
+  const header = records[0];
+  const versionNode = gedcomChild(gedcomChild(header, 'GEDC'), 'VERS');
+  const charsetNode = gedcomChild(header, 'CHAR');
+  const warnings = [];
+  const unmapped = new Map();
+  const skip = tag => unmapped.set(tag, (unmapped.get(tag) || 0) + 1);
+
+  if (charsetNode && !/^(UTF-8|UNICODE|ASCII)$/i.test(charsetNode.value.trim())) {
+    warnings.push(`The file is encoded as ${charsetNode.value.trim()}; accented letters may not come through correctly`);
+  }
+
+  // Shared notes, pointed at from NOTE @N1@ (5.5.1) or SNOTE @N1@ (7.0)
+  const sharedNotes = new Map();
+  for (const record of records) {
+    if ((record.tag === 'NOTE' || record.tag === 'SNOTE') && record.xref) {
+      sharedNotes.set(record.xref, record.value);
+    }
+  }
+
+  const people = [];
+  const byXref = new Map();
+  let familyCount = 0;
+
+  for (const record of records) {
+    if (record.tag === 'INDI') {
+      const person = readGedcomIndividual(record, sharedNotes, skip, warnings);
+      people.push(person);
+      if (record.xref) byXref.set(record.xref, person);
+    }
+  }
+
+  for (const record of records) {
+    if (record.tag === 'FAM') {
+      readGedcomFamily(record, byXref, skip, warnings);
+      familyCount++;
+    } else if (record.tag !== 'INDI' && !GEDCOM_IGNORED_RECORDS.includes(record.tag)) {
+      skip(`${record.tag} record`);
+    }
+  }
+
+  return {
+    people: people,
+    familyCount: familyCount,
+    version: versionNode ? versionNode.value.trim() : 'unknown',
+    warnings: warnings,
+    unmapped: [...unmapped].map(([tag, count]) => ({ tag, count }))
+  };
+}
+
+function readGedcomIndividual(record, sharedNotes, skip, warnings) {
+  const person = {
+    id: generatePersonId(),
+    name: '',
+    gender: 'unknown',
+    birthDate: '',
+    deathDate: '',
+    notes: '',
+    parents: [],
+    spouses: [],
+    children: []
+  };
+  const notes = [];
+  const otherNames = [];
+
+  for (const node of record.children) {
+    switch (node.tag) {
+      case 'NAME': {
+        const name = readGedcomName(node);
+        if (!person.name) {
+          person.name = name;
+        } else if (name) {
+          otherNames.push(name);
+        }
+        break;
+      }
+      case 'SEX':
+        person.gender = { M: 'male', F: 'female' }[node.value.trim().toUpperCase()] || 'unknown';
+        break;
+      case 'BIRT':
+      case 'DEAT': {
+        const field = node.tag === 'BIRT' ? 'birthDate' : 'deathDate';
+        const date = gedcomChild(node, 'DATE');
+        // Date phrases such as "(before the flood)" lose their parentheses
+        if (date && !person[field]) person[field] = date.value.trim().replace(/^\((.*)\)$/, '$1');
+        node.children.filter(child => child.tag !== 'DATE').forEach(child => skip(`INDI.${node.tag}.${child.tag}`));
+        break;
+      }
+      case 'NOTE':
+      case 'SNOTE':
+        notes.push(sharedNotes.has(node.value.trim()) ? sharedNotes.get(node.value.trim()) : node.value);
+        break;
+      case 'FAMS':
+      case 'FAMC':
+        // Links are taken from the FAM records themselves
+        break;
+      default:
+        skip(`INDI.${node.tag}`);
+    }
+  }
+
+  if (!person.name) {
+    person.name = 'Unnamed';
+    warnings.push(`Individual ${record.xref || `on line ${record.line}`} has no name and was called "Unnamed"`);
+  }
+  if (otherNames.length > 0) notes.unshift(`Also known as ${otherNames.join(', ')}`);
+  person.notes = notes.filter(Boolean).join('\n').trim();
+
+  return person;
+}
+
+/**
+ * "Giri /Bhatta/" -> "Giri Bhatta", falling back to GIVN and SURN
+ */
+function readGedcomName(node) {
+  let name = node.value.replace(/\//g, ' ');
+  if (!name.trim()) {
+    name = ['GIVN', 'SURN'].map(tag => gedcomChild(node, tag)).filter(Boolean).map(part => part.value).join(' ');
+  }
+  return name.replace(/\s+/g, ' ').trim();
+}
+
+function readGedcomFamily(record, byXref, skip, warnings) {
+  const partners = [];
+  const children = [];
+
+  const lookup = node => {
+    const xref = node.value.trim();
+    if (xref === '@VOID@') return null;
+    const person = byXref.get(xref);
+    if (!person) warnings.push(`Family ${record.xref || `on line ${record.line}`} points to ${xref}, which is not in the file`);
+    return person || null;
+  };
+
+  for (const node of record.children) {
+    if (node.tag === 'HUSB' || node.tag === 'WIFE') {
+      const person = lookup(node);
+      if (person) partners.push(person);
+    } else if (node.tag === 'CHIL') {
+      const person = lookup(node);
+      if (person) children.push(person);
+    } else {
+      skip(`FAM.${node.tag}`);
+    }
+  }
+
+  for (const partner of partners) {
+    for (const other of partners) {
+      if (other !== partner) addLinkId(partner.spouses, other.id);
+    }
+    for (const child of children) {
+      addLinkId(partner.children, child.id);
+      addLinkId(child.parents, partner.id);
+    }
+  }
+}
+
+const GEDCOM_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const GEDCOM_MONTH_NAMES = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'];
+
+// Longest text kept on one line before the rest goes to CONC lines
+const GEDCOM_LINE_TEXT = 200;
+
+/**
+ * Write people as a GEDCOM 5.5.1 file. Families are built from each
+ * child's parents and from spouse pairs; links to anyone outside
+ * `people` are left out, so a branch exports cleanly on its own.
+ */
+function exportGedcom(people, peopleMap, title = 'Family Tree') {
+  const included = new Set(people.map(person => person.id));
+  const individualXrefs = new Map(people.map((person, index) => [person.id, `@I${index + 1}@`]));
+  const families = buildGedcomFamilies(people, peopleMap, included);
+  const lines = [];
+  const write = (level, tag, value) => lines.push(value ? `${level} ${tag} ${value}` : `${level} ${tag}`);
+
+  lines.push('0 HEAD');
+  write(1, 'SOUR', 'KASHYAPA_FAMILY_TREE');
+  write(2, 'NAME', gedcomText(title));
+  write(1, 'DATE', formatGedcomDay(new Date()));
+  write(1, 'SUBM', '@U1@');
+  write(1, 'GEDC');
+  write(2, 'VERS', '5.5.1');
+  write(2, 'FORM', 'LINEAGE-LINKED');
+  write(1, 'CHAR', 'UTF-8');
+  lines.push('0 @U1@ SUBM');
+  write(1, 'NAME', gedcomText(title));
+
+  for (const person of people) {
+    lines.push(`0 ${individualXrefs.get(person.id)} INDI`);
+    write(1, 'NAME', gedcomText(person.name || 'Unnamed'));
+    write(1, 'SEX', { male: 'M', female: 'F' }[person.gender] || 'U');
+
+    [['BIRT', person.birthDate], ['DEAT', person.deathDate]].forEach(([tag, date]) => {
+      if (!date || !date.trim()) return;
+      write(1, tag);
+      write(2, 'DATE', toGedcomDate(date));
+    });
+
+    if (person.notes && person.notes.trim()) {
+      writeGedcomText(lines, 1, 'NOTE', person.notes.trim());
+    }
+    write(1, 'REFN', person.id);
+    write(2, 'TYPE', 'UUID');
+
+    families.forEach((family, index) => {
+      if (family.partners.includes(person.id)) write(1, 'FAMS', `@F${index + 1}@`);
+    });
+    families.forEach((family, index) => {
+      if (family.children.includes(person.id)) write(1, 'FAMC', `@F${index + 1}@`);
+    });
+  }
+
+  families.forEach((family, index) => {
+    lines.push(`0 @F${index + 1}@ FAM`);
+    gedcomPartnerRoles(family.partners, peopleMap)
+      .forEach(([role, id]) => write(1, role, individualXrefs.get(id)));
+    family.children.forEach(id => write(1, 'CHIL', individualXrefs.get(id)));
+  });
+
+  lines.push('0 TRLR');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Families as [{ partners, children }] of ids: one per set of parents,
+ * plus one for each couple without children
+ */
+function buildGedcomFamilies(people, peopleMap, included) {
+  const families = new Map();
+  const familyFor = partners => {
+    const key = [...partners].sort().join('|');
+    if (!families.has(key)) families.set(key, { partners: partners, children: [] });
+    return families.get(key);
+  };
+
+  for (const person of people) {
+    // A father with several wives leaves the mother unknown
+    let parents = kinshipParents(person, peopleMap);
+    if (parents.length > 2) parents = person.parents;
+    parents = parents.filter(id => included.has(id));
+    if (parents.length > 0) familyFor(parents).children.push(person.id);
+  }
+
+  for (const person of people) {
+    for (const spouseId of person.spouses || []) {
+      if (included.has(spouseId)) familyFor([person.id, spouseId]);
+    }
+  }
+
+  return [...families.values()];
+}
+
+/**
+ * GEDCOM 5.5.1 families have one HUSB and one WIFE; gender decides
+ * which is which where it can
+ */
+function gedcomPartnerRoles(partners, peopleMap) {
+  const sorted = [...partners].sort((a, b) => {
+    const rank = id => {
+      const gender = peopleMap.get(id).gender;
+      return gender === 'male' ? 0 : gender === 'female' ? 2 : 1;
+    };
+    return rank(a) - rank(b);
+  });
+
+  if (sorted.length === 1) {
+    return [[peopleMap.get(sorted[0]).gender === 'female' ? 'WIFE' : 'HUSB', sorted[0]]];
+  }
+  return [['HUSB', sorted[0]], ['WIFE', sorted[1]]];
+}
+
+/**
+ * Someone, their descendants and everyone those people married
+ */
+function collectGedcomBranch(person, peopleMap) {
+  const ids = new Set([person.id]);
+  const descendants = new Set([person.id]);
+  const queue = [person.id];
+
+  while (queue.length > 0) {
+    const current = peopleMap.get(queue.shift());
+    // Spouses are included, but not their own relatives
+    (current.spouses || []).filter(id => peopleMap.has(id)).forEach(id => ids.add(id));
+
+    for (const id of kinshipChildren(current, peopleMap)) {
+      if (descendants.has(id)) continue;
+      descendants.add(id);
+      ids.add(id);
+      queue.push(id);
+    }
+  }
+
+  return [...peopleMap.values()].filter(candidate => ids.has(candidate.id));
+}
+
+/**
+ * Our dates are free text. ISO dates and ones already in GEDCOM form
+ * ("ABT 1890", "12 Mar 1960") are converted; anything else is kept as a
+ * date phrase in parentheses.
+ */
+function toGedcomDate(text) {
+  const date = text.trim();
+  const iso = date.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (iso) {
+    return [iso[3] && parseInt(iso[3], 10), iso[2] && GEDCOM_MONTHS[parseInt(iso[2], 10) - 1], iso[1]]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  const words = date.toUpperCase().replace(/[,.]/g, ' ').split(/\s+/);
+  const qualifiers = { ABT: 'ABT', ABOUT: 'ABT', C: 'ABT', CA: 'ABT', CIRCA: 'ABT', BEF: 'BEF', BEFORE: 'BEF', AFT: 'AFT', AFTER: 'AFT', EST: 'EST', CAL: 'CAL' };
+  const qualifier = qualifiers[words[0]];
+  if (qualifier) words.shift();
+
+  // "MAR", "MARCH" and "SEPT" all name a month
+  const month = word => GEDCOM_MONTH_NAMES.findIndex(name => word.length >= 3 && name.startsWith(word));
+  const simple = words.length > 0 && words.length <= 3 && /^\d{3,4}$/.test(words[words.length - 1]) &&
+    (words.length < 2 || month(words[words.length - 2]) !== -1) &&
+    (words.length < 3 || /^\d{1,2}$/.test(words[0]));
+  if (simple) {
+    const parts = words.map((word, index) => index === words.length - 2 ? GEDCOM_MONTHS[month(word)] : word.replace(/^0/, ''));
+    return (qualifier ? `${qualifier} ` : '') + parts.join(' ');
+  }
+
+  return `(${gedcomText(date.replace(/[()]/g, ''))})`;
+}
+
+function formatGedcomDay(date) {
+  return `${date.getDate()} ${GEDCOM_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+}
+
+/**
+ * A one-line GEDCOM value. Line breaks (some names have one to wrap
+ * on their card) become spaces, and literal @ signs are doubled since
+ * GEDCOM 5.5.1 reserves them for pointers.
+ */
+function gedcomText(text) {
+  return text.replace(/\s*[\r\n]+\s*/g, ' ').replace(/@/g, '@@');
+}
+
+/**
+ * Write multi-line text as a tag followed by CONT lines, breaking long
+ * lines with CONC
+ */
+function writeGedcomText(lines, level, tag, text) {
+  text.split(/\r\n|\r|\n/).forEach((line, lineIndex) => {
+    const escaped = gedcomText(line);
+    const chunks = [];
+    let start = 0;
+    do {
+      let end = start + GEDCOM_LINE_TEXT;
+      // Do not split a doubled @ across lines
+      if (escaped[end - 1] === '@' && escaped[end] === '@') end--;
+      chunks.push(escaped.slice(start, end));
+      start = end;
+    } while (start < escaped.length);
+
+    chunks.forEach((chunk, chunkIndex) => {
+      const chunkTag = chunkIndex > 0 ? 'CONC' : lineIndex > 0 ? 'CONT' : tag;
+      const chunkLevel = chunkTag === tag ? level : level + 1;
+      lines.push(chunk ? `${chunkLevel} ${chunkTag} ${chunk}` : `${chunkLevel} ${chunkTag}`);
+    });
+  });
+}
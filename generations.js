@@ -0,0 +1,76 @@
+// generations.js - Generation numbers derived from parent/spouse links
+// No dependencies, works on a Map of id -> person
+
+/**
+ * Compute a generation number (1 = founders) for every person.
+ * Blood relatives sit one below their deepest parent; people with no
+ * recorded parents take their spouse's generation, or sit just above
+ * their children when no spouse is recorded.
+ * Returns a Map of id -> generation.
+ */
+function computeGenerations(peopleMap) {
+  const generations = new Map();
+  const updates = new Map();
+  const queue = [];
+  const queued = new Set();
+
+  function enqueue(id) {
+    if (!queued.has(id) && peopleMap.has(id)) {
+      queued.add(id);
+      queue.push(id);
+    }
+  }
+
+  for (const id of peopleMap.keys()) enqueue(id);
+
+  // Generations only ever grow, so this settles on any acyclic tree.
+  // The update cap stops ancestry cycles from looping forever.
+  while (queue.length > 0) {
+    const id = queue.shift();
+    queued.delete(id);
+
+    const person = peopleMap.get(id);
+    const candidate = candidateGeneration(person, peopleMap, generations);
+    const current = generations.get(id);
+
+    if (current !== undefined && candidate <= current) continue;
+
+    const count = (updates.get(id) || 0) + 1;
+    if (count > peopleMap.size) continue;
+    updates.set(id, count);
+
+    generations.set(id, candidate);
+    (person.children || []).forEach(enqueue);
+    (person.spouses || []).forEach(enqueue);
+    (person.parents || []).forEach(enqueue);
+  }
+
+  return generations;
+}
+
+function candidateGeneration(person, peopleMap, generations) {
+  const parentIds = (person.parents || []).filter(id => peopleMap.has(id));
+
+  if (parentIds.length > 0) {
+    const known = parentIds.map(id => generations.get(id)).filter(g => g !== undefined);
+    return known.length > 0 ? Math.max(...known) + 1 : 1;
+  }
+
+  const spouseGenerations = (person.spouses || [])
+    .map(id => generations.get(id))
+    .filter(g => g !== undefined);
+
+  if (spouseGenerations.length > 0) {
+    return Math.max(...spouseGenerations);
+  }
+
+  const childGenerations = (person.children || [])
+    .map(id => generations.get(id))
+    .filter(g => g !== undefined);
+
+  if (childGenerations.length > 0) {
+    return Math.max(1, Math.min(...childGenerations) - 1);
+  }
+
+  return 1;
+}
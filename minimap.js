@@ -0,0 +1,184 @@
+// minimap.js - Scaled-down overview of the tree with the visible area marked
+// Works with ViewportController from viewport.js. The cards come from the
+// page's layout rather than the DOM, so cards that are not rendered still
+// show; dragging the marked area pans the main view.
+
+class Minimap {
+  /**
+   * `getLayout()` returns { width, height, cards, marks }: the content
+   * size, cards as { box, gender } and marked (highlighted) boxes
+   */
+  constructor(viewport, host, getLayout, options = {}) {
+    this.viewport = viewport;
+    this.getLayout = getLayout;
+    this.width = options.width || 200;
+    this.height = options.height || 120;
+
+    this.cards = [];
+    this.marks = [];
+    this.contentWidth = 1;
+    this.contentHeight = 1;
+    this.mapScale = 1;
+    this.dragOffset = null;
+    this.pending = false;
+    this.reloadPending = false;
+
+    this.element = document.createElement('div');
+    this.element.className = 'minimap';
+    this.canvas = document.createElement('canvas');
+    this.element.appendChild(this.canvas);
+    host.appendChild(this.element);
+
+    // The cards only change with the layout, so they are drawn once onto
+    // this and copied in on every pan
+    this.cardLayer = document.createElement('canvas');
+
+    this.bindEvents();
+    this.refresh();
+  }
+
+  bindEvents() {
+    this.canvas.addEventListener('pointerdown', e => {
+      e.stopPropagation();
+      e.preventDefault();
+
+      const point = this.toContentPoint(e);
+      const view = this.viewport.getVisibleBox();
+      const inside = point.x >= view.left && point.x <= view.right && point.y >= view.top && point.y <= view.bottom;
+
+      // Grab the rectangle where it was pressed; a press outside it jumps there
+      this.dragOffset = inside
+        ? { x: point.x - (view.left + view.right) / 2, y: point.y - (view.top + view.bottom) / 2 }
+        : { x: 0, y: 0 };
+      if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
+      this.panTo(point);
+    });
+
+    this.canvas.addEventListener('pointermove', e => {
+      if (!this.dragOffset) return;
+      e.stopPropagation();
+      this.panTo(this.toContentPoint(e));
+    });
+
+    const endDrag = e => {
+      e.stopPropagation();
+      this.dragOffset = null;
+    };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+    this.element.addEventListener('click', e => e.stopPropagation());
+  }
+
+  /**
+   * Redraw on the next frame, once for however many calls come before
+   * it; `reload` also takes the cards and marks from the layout again
+   */
+  scheduleDraw(reload = false) {
+    this.reloadPending = this.reloadPending || reload;
+    if (this.pending) return;
+    this.pending = true;
+
+    const run = () => {
+      this.pending = false;
+      if (this.reloadPending) {
+        this.reloadPending = false;
+        this.refresh();
+      } else {
+        this.draw();
+      }
+    };
+    if (typeof requestAnimationFrame !== 'undefined') {
+      requestAnimationFrame(run);
+    } else {
+      setTimeout(run, 0);
+    }
+  }
+
+  /**
+   * Take the cards and marks from the layout and redraw everything
+   */
+  refresh() {
+    const layout = this.getLayout();
+    this.contentWidth = Math.max(layout.width, 1);
+    this.contentHeight = Math.max(layout.height, 1);
+    this.mapScale = Math.min(this.width / this.contentWidth, this.height / this.contentHeight);
+    this.cards = layout.cards;
+    this.marks = layout.marks;
+
+    this.drawCards();
+    this.draw();
+  }
+
+  drawCards() {
+    const ratio = window.devicePixelRatio || 1;
+    this.cardLayer.width = Math.ceil(this.contentWidth * this.mapScale) * ratio;
+    this.cardLayer.height = Math.ceil(this.contentHeight * this.mapScale) * ratio;
+
+    const context = this.cardLayer.getContext && this.cardLayer.getContext('2d');
+    if (!context) return;
+
+    const s = this.mapScale;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const colors = {
+      male: 'rgba(100, 200, 255, 0.8)',
+      female: 'rgba(255, 150, 200, 0.8)',
+      couple: 'rgba(255, 255, 255, 0.6)'
+    };
+    for (const card of this.cards) {
+      context.fillStyle = colors[card.gender] || colors.couple;
+      context.fillRect(card.box.left * s, card.box.top * s,
+        Math.max((card.box.right - card.box.left) * s, 1), Math.max((card.box.bottom - card.box.top) * s, 1));
+    }
+  }
+
+  draw() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.ceil(this.contentWidth * this.mapScale);
+    const height = Math.ceil(this.contentHeight * this.mapScale);
+
+    if (this.canvas.width !== width * ratio || this.canvas.height !== height * ratio) {
+      this.canvas.width = width * ratio;
+      this.canvas.height = height * ratio;
+      this.canvas.style.width = width + 'px';
+      this.canvas.style.height = height + 'px';
+    }
+
+    const context = this.canvas.getContext && this.canvas.getContext('2d');
+    if (!context) return;
+
+    const s = this.mapScale;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.cardLayer.width > 0 && this.cardLayer.height > 0) context.drawImage(this.cardLayer, 0, 0);
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    context.fillStyle = '#ffd700';
+    for (const box of this.marks) {
+      context.beginPath();
+      context.arc((box.left + box.right) / 2 * s, (box.top + box.bottom) / 2 * s, 3, 0, Math.PI * 2);
+      context.fill();
+    }
+
+    const view = this.viewport.getVisibleBox();
+    context.strokeStyle = 'white';
+    context.lineWidth = 1.5;
+    context.fillStyle = 'rgba(255, 255, 255, 0.12)';
+    context.fillRect(view.left * s, view.top * s, (view.right - view.left) * s, (view.bottom - view.top) * s);
+    context.strokeRect(view.left * s, view.top * s, (view.right - view.left) * s, (view.bottom - view.top) * s);
+  }
+
+  toContentPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) / this.mapScale,
+      y: (e.clientY - rect.top) / this.mapScale
+    };
+  }
+
+  panTo(point) {
+    const x = point.x - this.dragOffset.x;
+    const y = point.y - this.dragOffset.y;
+    this.viewport.centerBox({ left: x, top: y, right: x, bottom: y }, this.viewport.scale, false);
+  }
+}
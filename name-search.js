@@ -0,0 +1,182 @@
+// name-search.js - Forgiving name search for South Indian names
+// Spellings are folded to a common form before comparing, so "Bhatta"
+// finds "Bhat", "Narsi" finds "Narasimha" and "Yenka" finds "Venkata";
+// a small edit distance covers typos. No dependencies.
+
+/**
+ * Spelling rules applied in order to a lowercase a-z word. Romanised
+ * Kannada and Telugu names vary mostly in aspirates, doubled consonants,
+ * long vowels and the final short "a".
+ */
+const NAME_SPELLING_RULES = [
+  [/x/g, 'ks'],
+  [/q/g, 'k'],
+  [/z/g, 'j'],
+  [/w/g, 'v'],
+  [/f/g, 'p'],
+  // Ye- and Ve- are regional spellings of the same sound (Yenkata/Venkata)
+  [/^y(?=e)/, 'v'],
+  // Aspirates and sh/ch: Bhatta/Batta, Shyam/Syam, Narasimha/Narasima
+  [/([bcdgjklmnprstv])h/g, '$1'],
+  [/ee|ii/g, 'i'],
+  [/oo|uu/g, 'u'],
+  [/aa/g, 'a'],
+  [/([a-z])\1+/g, '$1']
+];
+
+/**
+ * Fold one word to the form names are compared in
+ */
+function normalizeIndicName(word) {
+  let folded = word.normalize('NFD').toLowerCase().replace(/[^a-z]/g, '');
+
+  for (const [pattern, replacement] of NAME_SPELLING_RULES) {
+    folded = folded.replace(pattern, replacement);
+  }
+
+  // The final short "a" is often dropped: Rama/Ram, Bhatta/Bhat
+  return folded.length > 2 ? folded.replace(/a$/, '') : folded;
+}
+
+/**
+ * First letter plus consonants; survives dropped inner vowels (Narsi/Narasimha)
+ */
+function nameSkeleton(folded) {
+  return folded.charAt(0) + folded.slice(1).replace(/[aeiou]/g, '');
+}
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `limit`
+ */
+function nameEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      best = Math.min(best, current[j]);
+    }
+    if (best > limit) return limit + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+class NameSearchIndex {
+  constructor(people) {
+    this.entries = [];
+
+    for (const person of people) {
+      const name = person.name || '';
+      this.entries.push({
+        person: person,
+        name: name.toLowerCase(),
+        words: this.splitWords(name)
+      });
+    }
+  }
+
+  splitWords(text) {
+    return text.toLowerCase().split(/[^a-zÀ-ɏ]+/)
+      .filter(Boolean)
+      .map(word => {
+        const folded = normalizeIndicName(word);
+        return { raw: word, folded: folded, skeleton: nameSkeleton(folded) };
+      })
+      .filter(word => word.folded);
+  }
+
+  /**
+   * People whose names match every word of the query, best first.
+   * Returns [{ person, score }] with scores between 0 and 1.
+   */
+  search(query, limit = Infinity) {
+    const queryWords = this.splitWords(query);
+    const lowerQuery = query.trim().toLowerCase();
+    if (queryWords.length === 0) return [];
+
+    const results = [];
+    for (const entry of this.entries) {
+      let total = 0;
+      let matched = true;
+
+      for (const queryWord of queryWords) {
+        const score = Math.max(0, ...entry.words.map(word => this.scoreWord(queryWord, word)));
+        if (score === 0) {
+          matched = false;
+          break;
+        }
+        total += score;
+      }
+
+      // Words the query did not ask for count slightly against a name,
+      // so "Ullas" ranks above "Adrith Ullas Kashyap"
+      const extraWords = Math.max(0, entry.words.length - queryWords.length);
+      let score = matched ? total / queryWords.length - extraWords * 0.02 : 0;
+
+      // Plain substring matches keep working exactly as before
+      if (entry.name.includes(lowerQuery)) score = Math.max(score, entry.name.startsWith(lowerQuery) ? 0.9 : 0.8);
+      if (entry.name === lowerQuery) score = 1;
+      if (score > 0) results.push({ person: entry.person, score: Math.min(score, 1) });
+    }
+
+    results.sort((a, b) => b.score - a.score || a.person.name.localeCompare(b.person.name));
+    return results.slice(0, limit);
+  }
+
+  /**
+   * How well one query word matches one word of a name; 0 for no match
+   */
+  scoreWord(query, word) {
+    if (query.raw === word.raw) return 1;
+    if (query.folded === word.folded) return 0.95;
+    if (word.folded.startsWith(query.folded)) return 0.85;
+
+    // Consonant outlines, either being a shortened form of the other
+    if (query.skeleton.length >= 3 && word.skeleton.length >= 3 &&
+        (word.skeleton.startsWith(query.skeleton) || query.skeleton.startsWith(word.skeleton))) {
+      return 0.7;
+    }
+
+    // Typos, also against the start of a longer word still being typed
+    const limit = query.folded.length <= 3 ? 0 : query.folded.length <= 6 ? 1 : 2;
+    if (limit === 0) return 0;
+
+    const distance = Math.min(
+      nameEditDistance(query.folded, word.folded, limit),
+      nameEditDistance(query.folded, word.folded.slice(0, query.folded.length), limit)
+    );
+    return distance <= limit ? 0.65 - distance * 0.1 : 0;
+  }
+}
+
+/**
+ * Short lineage for a search hit: "s/o Chowdam Bhatta, gen 2". Married-in
+ * spouses without recorded parents are described through their partner.
+ */
+function describeSearchLineage(person, peopleMap, generations) {
+  const parts = [];
+  const parents = (person.parents || []).map(id => peopleMap.get(id)).filter(Boolean);
+  const parent = parents.find(p => p.gender === 'male') || parents[0];
+
+  if (parent) {
+    const relation = person.gender === 'male' ? 's/o' : person.gender === 'female' ? 'd/o' : 'child of';
+    parts.push(`${relation} ${parent.name}`);
+  } else {
+    const spouse = (person.spouses || []).map(id => peopleMap.get(id)).filter(Boolean)[0];
+    if (spouse) {
+      const relation = person.gender === 'female' ? 'w/o' : person.gender === 'male' ? 'h/o' : 'spouse of';
+      parts.push(`${relation} ${spouse.name}`);
+    }
+  }
+
+  const generation = generations && generations.get(person.id);
+  if (generation) parts.push(`gen ${generation}`);
+
+  return parts.join(', ');
+}
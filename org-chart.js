@@ -1,11 +1,18 @@
 // org-chart.js - Pure organizational chart layout engine
-// No dependencies, works with any family tree data
+// Works with any family tree data; folded branches are kept by
+// CollapseState from collapse-state.js and cards are placed by
+// layoutTidyTree from tidy-tree.js
 
 class OrgChart {
   constructor(treeData) {
     this.treeData = treeData;
     this.peopleMap = new Map();
     this.positions = new Map();
+    this.depths = new Map();
+    this.treeChildren = new Map();
+    this.anchoredSpouses = new Map();
+    this.roots = [];
+    this.collapse = new CollapseState('kashyapa-org-chart:collapsed');
     
     // Configuration
     this.nodeWidth = window.innerWidth < 768 ? 140 : 200;
@@ -33,73 +40,234 @@ class OrgChart {
     
     if (!this.treeData || !this.treeData.people) return;
 
-    // Find root nodes (Generation 1)
-    const roots = this.treeData.people.filter(p => (p.generation || 1) === 1);
+    this.calculateDepths();
     
-    if (roots.length === 0) return;
+    if (this.roots.length === 0) return;
 
-    // Calculate positions recursively
-    let maxX = 0;
-    let currentX = 0;
-    
-    for (const root of roots) {
-      currentX = this.positionNode(root, currentX, 0);
-      currentX += this.nodeWidth + this.horizontalGap;
+    // Founders hang off a virtual root so separate trees pack together
+    const root = {
+      person: null,
+      width: 0,
+      children: this.roots.map(person => this.buildLayoutNode(person, new Set()))
+    };
+
+    layoutTidyTree(root, this.horizontalGap);
+
+    for (const child of root.children) {
+      this.assignPositions(child);
+    }
+
+    // Shift everything right so no node starts left of the canvas
+    let minX = Infinity;
+    for (const [, pos] of this.positions) {
+      minX = Math.min(minX, pos.x);
+    }
+    for (const [, pos] of this.positions) {
+      pos.x -= minX;
     }
   }
 
   /**
-   * Position a node and all its descendants
+   * Parent ids per person, taken from both sides of each link
    */
-  positionNode(person, x, y) {
-    if (this.positions.has(person.id)) return x;
-
-    // Get children
-    const children = (person.children || [])
-      .map(id => this.peopleMap.get(id))
-      .filter(c => c && !this.positions.has(c.id));
-
-    let nodeX = x;
-    let childStartX = x;
-
-    // If has children, position them first to center under parent
-    if (children.length > 0) {
-      let childWidth = 0;
-      for (const child of children) {
-        childWidth += this.nodeWidth + this.horizontalGap;
+  collectParentIds(people) {
+    const parentIds = new Map();
+    for (const person of people) {
+      parentIds.set(person.id, (person.parents || []).filter(id => this.peopleMap.has(id)));
+    }
+
+    // Parents who list the child but are not listed back still count
+    for (const person of people) {
+      for (const childId of person.children || []) {
+        const ids = parentIds.get(childId);
+        if (ids && !ids.includes(person.id)) ids.push(person.id);
       }
-      childWidth -= this.horizontalGap;
-
-      // Center children under parent
-      childStartX = x - (childWidth - this.nodeWidth) / 2;
-      
-      // Position children
-      let currentChildX = childStartX;
-      for (const child of children) {
-        currentChildX = this.positionNode(
-          child, 
-          currentChildX, 
-          y + this.nodeHeight + this.verticalGap
-        );
-        currentChildX += this.nodeWidth + this.horizontalGap;
+    }
+
+    return parentIds;
+  }
+
+  /**
+   * Work out founders, depths and a single layout parent per person.
+   * People without parents who married someone with parents are drawn
+   * beside that spouse instead of starting a tree of their own.
+   */
+  calculateDepths() {
+    this.depths.clear();
+    this.treeChildren.clear();
+    this.anchoredSpouses.clear();
+    this.roots = [];
+
+    const people = this.treeData.people.filter(p => this.peopleMap.get(p.id) === p);
+    const parentIds = this.collectParentIds(people);
+    const hasParents = id => parentIds.has(id) && parentIds.get(id).length > 0;
+    const rootIds = new Set();
+    const anchored = new Set();
+
+    // Married-in spouses hang off a partner; among parentless couples
+    // the first one listed is the founder and the rest are anchored to them
+    for (const person of people) {
+      if (hasParents(person.id)) continue;
+
+      const spouses = (person.spouses || []).filter(id => this.peopleMap.has(id) && id !== person.id);
+      const anchor = spouses.find(id => hasParents(id)) || spouses.find(id => rootIds.has(id));
+
+      if (anchor) {
+        if (!this.anchoredSpouses.has(anchor)) this.anchoredSpouses.set(anchor, []);
+        this.anchoredSpouses.get(anchor).push(person.id);
+        anchored.add(person.id);
+      } else {
+        this.roots.push(person);
+        rootIds.add(person.id);
       }
+    }
 
-      nodeX = x;
+    const childIds = new Map();
+    for (const person of people) childIds.set(person.id, []);
+    for (const person of people) {
+      for (const parentId of parentIds.get(person.id)) {
+        childIds.get(parentId).push(person.id);
+      }
     }
 
-    // Store position
-    this.positions.set(person.id, {
-      x: nodeX,
-      y: y,
+    // Longest path from any founder, so a child of a marriage between
+    // branches sits below the deeper of its two parents
+    const queue = [];
+    const updates = new Map();
+
+    const relax = (id, depth) => {
+      if (this.depths.has(id) && this.depths.get(id) >= depth) return;
+      const count = (updates.get(id) || 0) + 1;
+      if (count > people.length) return;
+      updates.set(id, count);
+      this.depths.set(id, depth);
+      queue.push(id);
+    };
+
+    for (const root of this.roots) relax(root.id, 0);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const depth = this.depths.get(id);
+
+      for (const childId of childIds.get(id)) {
+        relax(childId, depth + 1);
+      }
+      for (const spouseId of this.anchoredSpouses.get(id) || []) {
+        relax(spouseId, depth);
+      }
+    }
+
+    // Anything still unplaced (a cycle or a detached island) becomes a root
+    for (const person of people) {
+      if (!this.depths.has(person.id) && !anchored.has(person.id)) {
+        this.roots.push(person);
+        this.depths.set(person.id, 0);
+      }
+    }
+    for (const [anchorId, spouseIds] of this.anchoredSpouses) {
+      for (const spouseId of spouseIds) {
+        if (!this.depths.has(spouseId)) this.depths.set(spouseId, this.depths.get(anchorId) || 0);
+      }
+    }
+
+    // Each child is laid out under one parent: the deepest, in the order
+    // that parent lists its children
+    for (const person of people) {
+      const depth = this.depths.get(person.id);
+      const layoutParent = parentIds.get(person.id)
+        .find(id => this.depths.get(id) === depth - 1);
+      if (!layoutParent) continue;
+
+      if (!this.treeChildren.has(layoutParent)) this.treeChildren.set(layoutParent, []);
+      this.treeChildren.get(layoutParent).push(person.id);
+    }
+
+    for (const [parentId, children] of this.treeChildren) {
+      const order = this.peopleMap.get(parentId).children || [];
+      const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+      children.sort((a, b) => rank(a) - rank(b));
+    }
+  }
+
+  /**
+   * Spouses drawn beside a person
+   */
+  getAnchoredSpouses(personId) {
+    return (this.anchoredSpouses.get(personId) || []).map(id => this.peopleMap.get(id));
+  }
+
+  /**
+   * Build the layout tree: one node per person plus the spouses drawn
+   * beside them, so a couple is spaced as a single wider box
+   */
+  buildLayoutNode(person, visited) {
+    visited.add(person.id);
+
+    const spouses = this.getAnchoredSpouses(person.id).filter(spouse => !visited.has(spouse.id));
+    spouses.forEach(spouse => visited.add(spouse.id));
+
+    const node = {
       person: person,
-      children: children
+      spouses: spouses,
+      width: this.nodeWidth * (spouses.length + 1) + this.horizontalGap * spouses.length,
+      children: []
+    };
+
+    const childIds = this.treeChildren.get(person.id) || [];
+    node.hasChildren = childIds.length > 0;
+    if (node.hasChildren && this.collapse.isCollapsed(person.id)) {
+      node.hiddenCount = countBranchDescendants(person.id, id => this.treeChildren.get(id) || []);
+      return node;
+    }
+
+    for (const childId of childIds) {
+      const child = this.peopleMap.get(childId);
+      if (!child || visited.has(childId)) continue;
+
+      node.children.push(this.buildLayoutNode(child, visited));
+    }
+
+    return node;
+  }
+
+  /**
+   * Copy the finished layout into the positions map; x is the left edge
+   * of each card and married-in spouses follow to the right
+   */
+  assignPositions(node) {
+    const y = (this.depths.get(node.person.id) || 0) * (this.nodeHeight + this.verticalGap);
+    let x = node.x - node.width / 2;
+
+    this.positions.set(node.person.id, {
+      x: x,
+      y: y,
+      person: node.person,
+      children: node.children.map(child => child.person),
+      hasChildren: node.hasChildren,
+      hiddenCount: node.hiddenCount || 0
     });
 
-    return x + this.nodeWidth + this.horizontalGap;
+    for (const spouse of node.spouses) {
+      x += this.nodeWidth + this.horizontalGap;
+      this.positions.set(spouse.id, {
+        x: x,
+        y: y,
+        person: spouse,
+        children: [],
+        spouseOf: node.person.id
+      });
+    }
+
+    for (const child of node.children) {
+      this.assignPositions(child);
+    }
   }
 
   /**
-   * Render the org chart
+   * Render the org chart. Layout is computed once here; only the cards
+   * and lines in or near the visible part of #treeWrapper are in the DOM,
+   * and they are swapped as the wrapper scrolls.
    */
   render() {
     this.calculatePositions();
@@ -110,9 +278,8 @@ class OrgChart {
     
     if (!wrapper || !container) return;
 
-    // Clear previous nodes
-    container.innerHTML = '';
-    svg.innerHTML = '';
+    this.attach(wrapper, container, svg);
+    this.clearRendered();
 
     if (this.positions.size === 0) return;
 
@@ -131,136 +298,345 @@ class OrgChart {
     svg.setAttribute('width', totalWidth);
     svg.setAttribute('height', totalHeight);
 
-    // Render nodes
+    // The container holds only a window of nodes, so it is sized by hand
+    // to keep the wrapper's scroll range covering the whole chart
+    container.style.width = totalWidth + 'px';
+    container.style.height = totalHeight + 'px';
+
+    this.buildIndex();
+    this.updateVisible();
+  }
+
+  /**
+   * Hook scrolling and the delegated card events up once per page
+   */
+  attach(wrapper, container, svg) {
+    if (this.wrapper === wrapper) return;
+
+    this.wrapper = wrapper;
+    this.container = container;
+    this.svg = svg;
+    this.renderedNodes = new Map();
+    this.renderedLines = new Map();
+    this.nodePool = [];
+    this.hoveredId = null;
+    this.searchQuery = '';
+    this.updatePending = false;
+
+    wrapper.addEventListener('scroll', () => this.scheduleUpdate());
+
+    // One set of listeners for every card, however many are on screen
+    container.addEventListener('mouseover', (e) => {
+      const node = e.target.closest('.node');
+      if (node && !node.contains(e.relatedTarget)) this.setHovered(node.dataset.id);
+    });
+
+    container.addEventListener('mouseout', (e) => {
+      const node = e.target.closest('.node');
+      if (node && !node.contains(e.relatedTarget)) this.setHovered(null);
+    });
+
+    container.addEventListener('click', (e) => {
+      const toggle = e.target.closest('.collapse-toggle');
+      if (!toggle) return;
+      e.stopPropagation();
+      this.collapse.toggle(toggle.closest('.node').dataset.id);
+      this.render();
+    });
+  }
+
+  scheduleUpdate() {
+    if (this.updatePending) return;
+    this.updatePending = true;
+
+    requestAnimationFrame(() => {
+      this.updatePending = false;
+      this.updateVisible();
+    });
+  }
+
+  /**
+   * Bucket nodes and connection lines into a coarse grid so the visible
+   * ones can be found without scanning the whole chart
+   */
+  buildIndex() {
+    this.nodeGrid = new Map();
+    this.lineGrid = new Map();
+    this.lines = [];
+
+    for (const [personId, pos] of this.positions) {
+      this.addToGrid(this.nodeGrid, personId, pos.x, pos.y, pos.x + this.nodeWidth, pos.y + this.nodeHeight);
+    }
+
+    // L-shaped parent to child lines
     for (const [personId, pos] of this.positions) {
-      this.renderNode(personId, pos, container);
+      const children = this.peopleMap.get(personId).children || [];
+
+      for (const childId of new Set(children)) {
+        const childPos = this.positions.get(childId);
+        if (!childPos) continue;
+
+        const parentX = pos.x + this.nodeWidth / 2;
+        const parentY = pos.y + this.nodeHeight;
+        const childX = childPos.x + this.nodeWidth / 2;
+        const childY = childPos.y;
+        const midY = parentY + (childY - parentY) / 2;
+
+        this.addLine({
+          parentId: personId,
+          childId: childId,
+          d: `M ${parentX} ${parentY} L ${parentX} ${midY} L ${childX} ${midY} L ${childX} ${childY}`,
+          marriage: false
+        }, Math.min(parentX, childX), parentY, Math.max(parentX, childX), childY);
+      }
+    }
+
+    // Marriage links between a person and the spouses drawn beside them
+    for (const [personId, pos] of this.positions) {
+      const anchorPos = pos.spouseOf && this.positions.get(pos.spouseOf);
+      if (!anchorPos) continue;
+
+      const lineY = pos.y + this.nodeHeight / 2;
+      const x1 = Math.min(anchorPos.x, pos.x) + this.nodeWidth;
+      const x2 = Math.max(anchorPos.x, pos.x);
+
+      this.addLine({
+        parentId: pos.spouseOf,
+        childId: personId,
+        d: `M ${x1} ${lineY} L ${x2} ${lineY}`,
+        marriage: true
+      }, x1, lineY, x2, lineY);
+    }
+  }
+
+  addLine(line, left, top, right, bottom) {
+    line.index = this.lines.length;
+    line.box = { left, top, right, bottom };
+    this.lines.push(line);
+    this.addToGrid(this.lineGrid, line.index, left, top, right, bottom);
+  }
+
+  addToGrid(grid, key, left, top, right, bottom) {
+    const size = OrgChart.GRID_SIZE;
+    for (let gx = Math.floor(left / size); gx <= Math.floor(right / size); gx++) {
+      for (let gy = Math.floor(top / size); gy <= Math.floor(bottom / size); gy++) {
+        const cell = `${gx},${gy}`;
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(key);
+      }
     }
+  }
 
-    // Draw connection lines
-    this.drawConnections(svg);
+  queryGrid(grid, view) {
+    const size = OrgChart.GRID_SIZE;
+    const found = new Set();
+    for (let gx = Math.floor(view.left / size); gx <= Math.floor(view.right / size); gx++) {
+      for (let gy = Math.floor(view.top / size); gy <= Math.floor(view.bottom / size); gy++) {
+        for (const key of grid.get(`${gx},${gy}`) || []) found.add(key);
+      }
+    }
+    return found;
   }
 
   /**
-   * Render a single node
+   * Visible part of the chart plus half a screen on every side, so quick
+   * scrolling does not show empty space before the next frame
    */
-  renderNode(personId, pos, container) {
-    const person = this.peopleMap.get(personId);
-    if (!person) return;
+  getRenderWindow() {
+    const width = this.wrapper.clientWidth || window.innerWidth;
+    const height = this.wrapper.clientHeight || window.innerHeight;
+    return {
+      left: this.wrapper.scrollLeft - width / 2,
+      top: this.wrapper.scrollTop - height / 2,
+      right: this.wrapper.scrollLeft + width * 1.5,
+      bottom: this.wrapper.scrollTop + height * 1.5
+    };
+  }
+
+  /**
+   * Bring the DOM in line with the render window: cards that scrolled
+   * away go back to the pool and are reused for the ones coming in
+   */
+  updateVisible() {
+    if (!this.nodeGrid) return;
+
+    const view = this.getRenderWindow();
+    const overlaps = box => box.right >= view.left && box.left <= view.right &&
+      box.bottom >= view.top && box.top <= view.bottom;
+
+    const nodeIds = new Set([...this.queryGrid(this.nodeGrid, view)].filter(personId => {
+      const pos = this.positions.get(personId);
+      return overlaps({ left: pos.x, top: pos.y, right: pos.x + this.nodeWidth, bottom: pos.y + this.nodeHeight });
+    }));
+
+    for (const [personId, nodeDiv] of this.renderedNodes) {
+      if (nodeIds.has(personId)) continue;
+      nodeDiv.remove();
+      this.nodePool.push(nodeDiv);
+      this.renderedNodes.delete(personId);
+    }
+
+    for (const personId of nodeIds) {
+      if (this.renderedNodes.has(personId)) continue;
+      const nodeDiv = this.nodePool.pop() || this.createNodeElement();
+      this.renderNode(personId, this.positions.get(personId), nodeDiv);
+      this.container.appendChild(nodeDiv);
+      this.renderedNodes.set(personId, nodeDiv);
+    }
 
+    const lineIndexes = new Set([...this.queryGrid(this.lineGrid, view)]
+      .filter(index => overlaps(this.lines[index].box)));
+
+    for (const [index, path] of this.renderedLines) {
+      if (lineIndexes.has(index)) continue;
+      path.remove();
+      this.renderedLines.delete(index);
+    }
+
+    for (const index of lineIndexes) {
+      if (this.renderedLines.has(index)) continue;
+      const path = this.createLineElement(this.lines[index]);
+      this.svg.appendChild(path);
+      this.renderedLines.set(index, path);
+    }
+  }
+
+  clearRendered() {
+    if (!this.renderedNodes) return;
+
+    for (const nodeDiv of this.renderedNodes.values()) {
+      nodeDiv.remove();
+      this.nodePool.push(nodeDiv);
+    }
+    this.renderedNodes.clear();
+    this.renderedLines.clear();
+    this.svg.innerHTML = '';
+  }
+
+  /**
+   * An empty card; renderNode fills it, and it is reused after scrolling away
+   */
+  createNodeElement() {
     const nodeDiv = document.createElement('div');
     nodeDiv.className = 'node';
-    nodeDiv.setAttribute('data-id', personId);
-    nodeDiv.style.left = pos.x + 'px';
-    nodeDiv.style.top = pos.y + 'px';
 
     const card = document.createElement('div');
     card.className = 'card';
-    card.setAttribute('data-name', person.name || 'Unknown');
 
     // Avatar
     const avatar = document.createElement('div');
     avatar.className = 'avatar';
-    avatar.textContent = person.gender === 'male' ? '♂' : 
-                        person.gender === 'female' ? '♀' : '•';
 
     // Name
     const name = document.createElement('div');
     name.className = 'name';
-    name.textContent = (person.name || 'Unknown').substring(0, 20);
 
     // Children count
-    const childCount = (person.children || []).length;
     const children = document.createElement('div');
     children.className = 'children-count';
-    children.textContent = childCount ? `${childCount} child${childCount > 1 ? 'ren' : ''}` : '—';
 
     card.appendChild(avatar);
     card.appendChild(name);
     card.appendChild(children);
+    nodeDiv.appendChild(card);
 
-    // Hover effect
-    card.addEventListener('mouseenter', () => {
-      card.classList.add('highlight');
-    });
-
-    card.addEventListener('mouseleave', () => {
-      card.classList.remove('highlight');
-    });
+    const toggle = document.createElement('button');
+    toggle.className = 'collapse-toggle';
+    nodeDiv.appendChild(toggle);
 
-    nodeDiv.appendChild(card);
-    container.appendChild(nodeDiv);
+    return nodeDiv;
   }
 
   /**
-   * Draw L-shaped connection lines
+   * Fill a (possibly recycled) node element for one person
    */
-  drawConnections(svg) {
-    const drawnLines = new Set();
+  renderNode(personId, pos, nodeDiv) {
+    const person = this.peopleMap.get(personId);
 
-    for (const [personId, pos] of this.positions) {
-      const children = (this.treeData?.people || [])
-        .find(p => p.id === personId)?.children || [];
+    nodeDiv.setAttribute('data-id', personId);
+    nodeDiv.style.left = pos.x + 'px';
+    nodeDiv.style.top = pos.y + 'px';
 
-      if (children.length === 0) continue;
+    const card = nodeDiv.querySelector('.card');
+    card.setAttribute('data-name', person.name || 'Unknown');
+    card.classList.toggle('highlight', personId === this.hoveredId);
 
-      for (const childId of children) {
-        const childPos = this.positions.get(childId);
-        if (!childPos) continue;
+    const matches = !this.searchQuery || (person.name || '').toLowerCase().includes(this.searchQuery);
+    nodeDiv.style.opacity = matches ? '1' : '0.3';
 
-        const key = `${personId}__${childId}`;
-        if (drawnLines.has(key)) continue;
-        drawnLines.add(key);
+    card.querySelector('.avatar').textContent = person.gender === 'male' ? '♂' : 
+                        person.gender === 'female' ? '♀' : '•';
+    card.querySelector('.name').textContent = (person.name || 'Unknown').substring(0, 20);
 
-        // Calculate path
-        const parentX = pos.x + this.nodeWidth / 2;
-        const parentY = pos.y + this.nodeHeight;
-        const childX = childPos.x + this.nodeWidth / 2;
-        const childY = childPos.y;
-        const midY = parentY + (childY - parentY) / 2;
+    const childCount = (person.children || []).length;
+    card.querySelector('.children-count').textContent = childCount ? `${childCount} child${childCount > 1 ? 'ren' : ''}` : '—';
 
-        // Create path
-        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const d = `
-          M ${parentX} ${parentY}
-          L ${parentX} ${midY}
-          L ${childX} ${midY}
-          L ${childX} ${childY}
-        `;
-
-        path.setAttribute('d', d);
-        path.setAttribute('fill', 'none');
-        path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-        path.setAttribute('stroke-width', window.innerWidth < 768 ? '1' : '1.5');
-        path.setAttribute('stroke-linecap', 'round');
-        path.setAttribute('stroke-linejoin', 'round');
-
-        // Hover effect
-        path.addEventListener('mouseenter', () => {
-          path.setAttribute('stroke', 'rgba(255, 215, 0, 0.6)');
-          
-          const parentNode = document.querySelector(`[data-id="${personId}"] .card`);
-          const childNode = document.querySelector(`[data-id="${childId}"] .card`);
-          
-          if (parentNode) parentNode.classList.add('highlight');
-          if (childNode) childNode.classList.add('highlight');
-        });
-
-        path.addEventListener('mouseleave', () => {
-          path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-          
-          const parentNode = document.querySelector(`[data-id="${personId}"] .card`);
-          const childNode = document.querySelector(`[data-id="${childId}"] .card`);
-          
-          if (parentNode) parentNode.classList.remove('highlight');
-          if (childNode) childNode.classList.remove('highlight');
-        });
-
-        svg.appendChild(path);
-      }
+    const toggle = nodeDiv.querySelector('.collapse-toggle');
+    toggle.style.display = pos.hasChildren ? '' : 'none';
+    toggle.className = pos.hiddenCount ? 'collapse-toggle collapsed' : 'collapse-toggle';
+    toggle.textContent = pos.hiddenCount ? `+${pos.hiddenCount}` : '−';
+    toggle.title = pos.hiddenCount ? `Show ${pos.hiddenCount} hidden descendants` : 'Hide descendants';
+  }
+
+  createLineElement(line) {
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', line.d);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke-width', window.innerWidth < 768 ? '1' : '1.5');
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('stroke-linejoin', 'round');
+    if (line.marriage) path.setAttribute('stroke-dasharray', '4 3');
+    this.styleLine(path, line);
+    return path;
+  }
+
+  /**
+   * Lines touching the hovered card are drawn in gold
+   */
+  styleLine(path, line) {
+    const hovered = this.hoveredId && (line.parentId === this.hoveredId || line.childId === this.hoveredId);
+    const color = line.marriage ? 'rgba(255, 150, 200, 0.5)' : 'rgba(255, 255, 255, 0.3)';
+    path.setAttribute('stroke', hovered ? 'rgba(255, 215, 0, 0.6)' : color);
+  }
+
+  setHovered(personId) {
+    this.hoveredId = personId;
+
+    for (const [id, nodeDiv] of this.renderedNodes) {
+      nodeDiv.querySelector('.card').classList.toggle('highlight', id === personId);
+    }
+    for (const [index, path] of this.renderedLines) {
+      this.styleLine(path, this.lines[index]);
     }
   }
+
+  /**
+   * Dim everyone whose name does not contain the query
+   */
+  setSearch(query) {
+    this.searchQuery = query.toLowerCase();
+    if (!this.renderedNodes) return;
+
+    for (const [personId, nodeDiv] of this.renderedNodes) {
+      this.renderNode(personId, this.positions.get(personId), nodeDiv);
+    }
+  }
+
+  /**
+   * Scroll so a person's card is centred horizontally
+   */
+  scrollToPerson(personId) {
+    const pos = this.positions.get(personId);
+    if (!pos || !this.wrapper) return;
+
+    this.wrapper.scrollLeft = pos.x + this.nodeWidth / 2 - this.wrapper.clientWidth / 2;
+    this.updateVisible();
+  }
 }
 
+// Grid cell size in pixels for finding visible nodes and lines
+OrgChart.GRID_SIZE = 600;
+
 // Global instance
 let orgChart = null;
 
@@ -270,6 +646,24 @@ let orgChart = null;
 function initChart(treeData) {
   orgChart = new OrgChart(treeData);
   orgChart.render();
+  if (orgChart.roots.length > 0) orgChart.scrollToPerson(orgChart.roots[0].id);
+  populateExpandLevels();
+}
+
+/**
+ * Fill the "expand to generation" picker, if the page has one
+ */
+function populateExpandLevels() {
+  const select = document.getElementById('expandLevel');
+  if (!select || !orgChart || orgChart.depths.size === 0) return;
+
+  const generations = Math.max(...orgChart.depths.values()) + 1;
+  for (let n = 2; n < generations; n++) {
+    const option = document.createElement('option');
+    option.value = n;
+    option.textContent = `Expand to generation ${n}`;
+    select.appendChild(option);
+  }
 }
 
 /**
@@ -282,38 +676,42 @@ function resetView() {
 }
 
 /**
- * Expand all nodes
+ * Unfold every branch
  */
 function expandAll() {
-  const cards = document.querySelectorAll('.card');
-  cards.forEach(card => {
-    card.style.transform = 'scale(1.05)';
-  });
+  if (orgChart) {
+    orgChart.collapse.expandAll();
+    orgChart.render();
+  }
+}
+
+/**
+ * Fold every branch, leaving only the founders
+ */
+function collapseAll() {
+  if (orgChart) {
+    orgChart.collapse.collapseOnly([...orgChart.treeChildren.keys()]);
+    orgChart.render();
+  }
+}
+
+/**
+ * Show generations 1 to n and fold everything below
+ */
+function expandToGeneration(n) {
+  if (orgChart) {
+    const folded = [...orgChart.treeChildren.keys()].filter(id => (orgChart.depths.get(id) || 0) + 1 >= n);
+    orgChart.collapse.collapseOnly(folded);
+    orgChart.render();
+  }
 }
 
 /**
  * Search function
  */
 function searchPeople(query) {
-  const cards = document.querySelectorAll('.card');
-  const lowerQuery = query.toLowerCase();
-
-  cards.forEach(card => {
-    const name = card.getAttribute('data-name') || '';
-    if (name.toLowerCase().includes(lowerQuery)) {
-      card.style.opacity = '1';
-      card.parentElement.style.opacity = '1';
-    } else {
-      card.style.opacity = '0.3';
-      card.parentElement.style.opacity = '0.3';
-    }
-  });
-
-  if (query === '') {
-    cards.forEach(card => {
-      card.style.opacity = '1';
-      card.parentElement.style.opacity = '1';
-    });
+  if (orgChart) {
+    orgChart.setSearch(query);
   }
 }
 
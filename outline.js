@@ -0,0 +1,148 @@
+// outline.js - Read an indented family outline into new people records
+// Each line is a person, indented under their parent; "= Name" lines are
+// the spouse of the person above them. Written for transcribing a
+// handwritten vamshavali quickly. Uses generatePersonId and addLinkId
+// from tree-editor.js
+//
+//   Chowdam Bhatta (m)
+//   = Lakshmamma
+//     Giri Bhatta (b. 1890)
+//     = Savitri
+//       Yenka Bhatta (1921-1990)
+
+/**
+ * Parse outline text. Returns { people, roots, warnings } where roots
+ * are the ids of the people on the outermost level, ready to be
+ * attached under someone already in the tree.
+ */
+function parseFamilyOutline(text) {
+  const people = [];
+  const roots = [];
+  const warnings = [];
+  const marriedIn = new Set();
+  // Open people by indent, innermost last: [{ indent, person }]
+  const open = [];
+
+  text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const expanded = rawLine.replace(/\t/g, '    ');
+    const content = expanded.trim().replace(/^[-*•]\s+/, '');
+    if (!content) return;
+
+    const indent = expanded.length - expanded.trimStart().length;
+    const isSpouse = content.startsWith('=');
+    const details = parseOutlineDetails(isSpouse ? content.slice(1) : content, lineNumber, warnings);
+    const person = {
+      id: generatePersonId(),
+      name: details.name,
+      gender: details.gender,
+      birthDate: details.birthDate,
+      deathDate: details.deathDate,
+      notes: details.notes,
+      parents: [],
+      spouses: [],
+      children: []
+    };
+
+    if (isSpouse) {
+      // The spouse of the nearest person above who is not indented deeper
+      while (open.length > 0 && open[open.length - 1].indent > indent) open.pop();
+      const partner = open.length > 0 ? open[open.length - 1].person : null;
+      if (!partner) {
+        throw new Error(`Line ${lineNumber}: "${content}" has no one above it to be married to`);
+      }
+      addLinkId(partner.spouses, person.id);
+      addLinkId(person.spouses, partner.id);
+      marriedIn.add(person.id);
+      people.push(person);
+      return;
+    }
+
+    while (open.length > 0 && open[open.length - 1].indent >= indent) open.pop();
+    const parent = open.length > 0 ? open[open.length - 1].person : null;
+    if (parent) {
+      addLinkId(parent.children, person.id);
+      addLinkId(person.parents, parent.id);
+    } else {
+      roots.push(person.id);
+    }
+
+    open.push({ indent, person });
+    people.push(person);
+  });
+
+  if (people.length === 0) throw new Error('The outline has no names in it');
+
+  guessOutlineGenders(people, marriedIn);
+  return { people, roots, warnings };
+}
+
+/**
+ * Split "Giri Bhatta (m, 1890-1960)" into a name and its details. The
+ * parentheses may hold m/f, "b. 1890", "d. 1960", "1890-1960" or notes.
+ * A date needs its "b."/"born" or "d."/"died" marker, so notes such as
+ * "Bangalore" or "doctor" are left as notes.
+ */
+function parseOutlineDetails(text, lineNumber, warnings) {
+  const details = { name: text.trim(), gender: 'unknown', birthDate: '', deathDate: '', notes: '' };
+  const match = details.name.match(/^(.*?)\s*\(([^()]*)\)$/);
+  if (!match) return details;
+
+  details.name = match[1].trim();
+  const notes = [];
+  for (const part of match[2].split(/[,;]/).map(item => item.trim()).filter(Boolean)) {
+    let found;
+    if (/^(m|male)$/i.test(part)) {
+      details.gender = 'male';
+    } else if (/^(f|female)$/i.test(part)) {
+      details.gender = 'female';
+    } else if ((found = part.match(/^(?:b\.|b\s|born\s)\s*(.+)$/i))) {
+      details.birthDate = found[1];
+    } else if ((found = part.match(/^(?:d\.|d\s|died\s)\s*(.+)$/i))) {
+      details.deathDate = found[1];
+    } else if ((found = part.match(/^(\d{3,4})?\s*[-–]\s*(\d{3,4})?$/)) && (found[1] || found[2])) {
+      details.birthDate = found[1] || '';
+      details.deathDate = found[2] || '';
+    } else {
+      notes.push(part);
+    }
+  }
+  details.notes = notes.join(', ');
+
+  if (!details.name) {
+    warnings.push(`Line ${lineNumber} has details but no name`);
+    details.name = 'Unnamed';
+  }
+  return details;
+}
+
+/**
+ * Fill in unmarked genders from spouses: a couple is taken to be a man
+ * and a woman, so marking one of them is enough. When neither is marked,
+ * the vamshavali follows the male line, so the person on the line is the
+ * husband and the "=" spouse the wife.
+ */
+function guessOutlineGenders(people, marriedIn) {
+  const byId = new Map(people.map(person => [person.id, person]));
+  const opposite = { male: 'female', female: 'male' };
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (const person of people) {
+      if (person.gender !== 'unknown') continue;
+      const spouse = person.spouses.map(id => byId.get(id)).find(s => s.gender !== 'unknown');
+      if (spouse) {
+        person.gender = opposite[spouse.gender];
+        changed = true;
+      }
+    }
+  }
+
+  for (const person of people) {
+    if (person.gender !== 'unknown' || !marriedIn.has(person.id)) continue;
+    const partner = byId.get(person.spouses[0]);
+    if (partner.gender === 'unknown') partner.gender = 'male';
+    person.gender = opposite[partner.gender];
+  }
+}
@@ -0,0 +1,264 @@
+// pedigree.js - Ancestor (pedigree) chart for one person
+// Slots are numbered Ahnentafel-style: the person is 1, the father of
+// slot n is 2n and the mother 2n + 1. Uses kinshipParents from relationship.js
+
+class PedigreeChart {
+  constructor(peopleMap, container, options = {}) {
+    this.peopleMap = peopleMap;
+    this.container = container;
+    this.generations = options.generations || 4;
+    this.orientation = options.orientation || 'horizontal';
+    this.onSelect = options.onSelect || null;
+    this.onOpen = options.onOpen || null;
+
+    this.rootId = null;
+    this.slots = new Map();
+
+    // Configuration
+    this.cardWidth = 170;
+    this.cardHeight = 56;
+    this.generationGap = 50;
+    this.siblingGap = 12;
+  }
+
+  /**
+   * Draw the pedigree of personId into the container
+   */
+  render(personId) {
+    this.rootId = personId;
+    this.slots = buildPedigree(this.peopleMap, personId, this.generations);
+    this.container.innerHTML = '';
+
+    if (this.slots.size === 0) return;
+
+    this.layout();
+
+    const canvas = document.createElement('div');
+    canvas.className = 'pedigree-canvas';
+    canvas.style.width = this.width + 'px';
+    canvas.style.height = this.height + 'px';
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'pedigree-lines');
+    svg.setAttribute('width', this.width);
+    svg.setAttribute('height', this.height);
+    this.drawConnections(svg);
+    canvas.appendChild(svg);
+
+    for (const slot of this.slots.values()) {
+      canvas.appendChild(this.renderSlot(slot));
+    }
+
+    this.container.appendChild(canvas);
+    this.centerOnRoot();
+  }
+
+  /**
+   * Give every slot an x/y. The oldest generation shown gets one row (or
+   * column) per slot and each generation below is centred between its parents.
+   */
+  layout() {
+    const shownGenerations = Math.max(...[...this.slots.values()].map(slot => slot.generation)) + 1;
+    const leaves = Math.pow(2, shownGenerations - 1);
+    const horizontal = this.orientation === 'horizontal';
+    const crossStep = (horizontal ? this.cardHeight : this.cardWidth) + this.siblingGap;
+    const mainStep = (horizontal ? this.cardWidth : this.cardHeight) + this.generationGap;
+
+    for (const slot of this.slots.values()) {
+      const index = slot.number - Math.pow(2, slot.generation);
+      const span = leaves / Math.pow(2, slot.generation);
+      const cross = (index + 0.5) * span * crossStep;
+
+      if (horizontal) {
+        slot.x = slot.generation * mainStep;
+        slot.y = cross - this.cardHeight / 2;
+      } else {
+        slot.x = cross - this.cardWidth / 2;
+        slot.y = (shownGenerations - 1 - slot.generation) * mainStep;
+      }
+    }
+
+    const crossSize = leaves * crossStep - this.siblingGap;
+    const mainSize = shownGenerations * mainStep - this.generationGap;
+    this.width = horizontal ? mainSize : crossSize;
+    this.height = horizontal ? crossSize : mainSize;
+  }
+
+  renderSlot(slot) {
+    const card = document.createElement('div');
+    card.className = 'pedigree-card';
+    card.style.left = slot.x + 'px';
+    card.style.top = slot.y + 'px';
+    card.style.width = this.cardWidth + 'px';
+    card.style.height = this.cardHeight + 'px';
+    card.dataset.slot = slot.number;
+
+    const name = document.createElement('div');
+    name.className = 'pedigree-name';
+    const detail = document.createElement('div');
+    detail.className = 'pedigree-detail';
+
+    if (!slot.person) {
+      card.classList.add('placeholder');
+      name.textContent = slot.note || (slot.number % 2 === 0 ? 'Father unknown' : 'Mother unknown');
+      detail.textContent = pedigreeSlotLabel(slot.number);
+      card.title = 'Not recorded';
+    } else {
+      const person = slot.person;
+      card.classList.add(person.gender);
+      card.dataset.ancestorId = person.id;
+      if (slot.number === 1) card.classList.add('root');
+
+      name.textContent = person.name;
+      const lifespan = formatPedigreeLifespan(person);
+      detail.textContent = lifespan ? `${pedigreeSlotLabel(slot.number)} · ${lifespan}` : pedigreeSlotLabel(slot.number);
+      card.title = slot.number === 1 ? 'Show details' : `Show ${person.name}'s ancestors`;
+
+      card.addEventListener('click', () => {
+        if (slot.number === 1) {
+          if (this.onOpen) this.onOpen(person);
+        } else if (this.onSelect) {
+          this.onSelect(person);
+        } else {
+          this.render(person.id);
+        }
+      });
+    }
+
+    card.appendChild(name);
+    card.appendChild(detail);
+    return card;
+  }
+
+  /**
+   * Elbow lines from each person to their father and mother slots
+   */
+  drawConnections(svg) {
+    const horizontal = this.orientation === 'horizontal';
+
+    for (const slot of this.slots.values()) {
+      for (const parentNumber of [slot.number * 2, slot.number * 2 + 1]) {
+        const parent = this.slots.get(parentNumber);
+        if (!parent) continue;
+
+        let d;
+        if (horizontal) {
+          const childX = slot.x + this.cardWidth;
+          const childY = slot.y + this.cardHeight / 2;
+          const parentY = parent.y + this.cardHeight / 2;
+          const midX = childX + this.generationGap / 2;
+          d = `M ${childX} ${childY} H ${midX} V ${parentY} H ${parent.x}`;
+        } else {
+          const childX = slot.x + this.cardWidth / 2;
+          const parentX = parent.x + this.cardWidth / 2;
+          const parentBottom = parent.y + this.cardHeight;
+          const midY = slot.y - this.generationGap / 2;
+          d = `M ${childX} ${slot.y} V ${midY} H ${parentX} V ${parentBottom}`;
+        }
+
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', d);
+        if (!parent.person) path.setAttribute('class', 'placeholder');
+        svg.appendChild(path);
+      }
+    }
+  }
+
+  /**
+   * Scroll the container so the selected person is in view
+   */
+  centerOnRoot() {
+    const root = this.slots.get(1);
+    if (!root) return;
+
+    this.container.scrollLeft = root.x + this.cardWidth / 2 - this.container.clientWidth / 2;
+    this.container.scrollTop = root.y + this.cardHeight / 2 - this.container.clientHeight / 2;
+  }
+}
+
+/**
+ * Ahnentafel-numbered slots for up to `generations` generations, the
+ * person included. Unknown parents of a known person get a placeholder
+ * slot; placeholders have no parents of their own.
+ * Returns Map number -> { number, generation, person, note }
+ */
+function buildPedigree(peopleMap, personId, generations) {
+  const slots = new Map();
+  const person = peopleMap.get(personId);
+  if (!person) return slots;
+
+  slots.set(1, { number: 1, generation: 0, person: person, note: null });
+  const queue = [1];
+
+  while (queue.length > 0) {
+    const slot = slots.get(queue.shift());
+    if (!slot.person || slot.generation >= generations - 1) continue;
+
+    const parents = findPedigreeParents(slot.person, peopleMap);
+    const entries = [
+      [slot.number * 2, parents.father, null],
+      [slot.number * 2 + 1, parents.mother, parents.motherNote]
+    ];
+
+    for (const [number, parent, note] of entries) {
+      slots.set(number, { number, generation: slot.generation + 1, person: parent, note });
+      if (parent) queue.push(number);
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Father and mother of a person. Children are usually listed under the
+ * father alone, so his wife stands in for the mother when he has exactly
+ * one; with several wives the mother is left open rather than guessed.
+ */
+function findPedigreeParents(person, peopleMap) {
+  const recorded = (person.parents || []).map(id => peopleMap.get(id)).filter(Boolean);
+  let father = recorded.find(parent => parent.gender === 'male') || null;
+  let mother = recorded.find(parent => parent.gender === 'female') || null;
+
+  for (const parent of recorded) {
+    if (parent.gender !== 'unknown') continue;
+    if (!father) father = parent;
+    else if (!mother) mother = parent;
+  }
+
+  let motherNote = null;
+  if (!mother && recorded.length === 1) {
+    const implied = kinshipParents(person, peopleMap)
+      .filter(id => id !== recorded[0].id)
+      .map(id => peopleMap.get(id));
+
+    if (implied.length === 1) {
+      mother = implied[0];
+    } else if (implied.length > 1) {
+      motherNote = `One of ${implied.length} wives`;
+    }
+  }
+
+  return { father, mother, motherNote };
+}
+
+/**
+ * "Father", "Maternal grandmother", "Paternal great-grandfather", ...
+ */
+function pedigreeSlotLabel(number) {
+  const generation = Math.floor(Math.log2(number));
+  if (generation === 0) return 'Selected';
+
+  const role = number % 2 === 0 ? 'father' : 'mother';
+  if (generation === 1) return role === 'father' ? 'Father' : 'Mother';
+
+  // The bit below the leading one says which parent's line this is
+  const side = (number >> (generation - 1)) & 1 ? 'Maternal' : 'Paternal';
+  return `${side} ${'great-'.repeat(generation - 2)}grand${role}`;
+}
+
+function formatPedigreeLifespan(person) {
+  const born = (person.birthDate || '').match(/\d{4}/);
+  const died = (person.deathDate || '').match(/\d{4}/);
+  if (!born && !died) return '';
+  return `${born ? born[0] : '?'}–${died ? died[0] : ''}`;
+}
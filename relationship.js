@@ -0,0 +1,464 @@
+// relationship.js - Describe how two people are related, in English and
+// in Kannada and Telugu kinship terms
+// No dependencies, works on a Map of id -> person
+
+// A marriage costs more than any blood path, so blood relations win
+const MARRIAGE_STEP_COST = 1000;
+
+const ORDINAL_WORDS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const REMOVED_WORDS = ['', 'once', 'twice', 'thrice'];
+
+/**
+ * Kinship terms keyed by relation chain, read from the speaker outwards:
+ * F father, M mother, S son, D daughter, H husband, W wife, and siblings
+ * as eB/yB (elder/younger brother) and eZ/yZ (elder/younger sister).
+ * An "x" matches either age; cousin terms depend on the cousin's own age
+ * relative to the speaker and are handled in cousinTerms.
+ */
+const KINSHIP_TERMS = {
+  'F': { kannada: 'appa', telugu: 'nanna' },
+  'M': { kannada: 'amma', telugu: 'amma' },
+  'S': { kannada: 'maga', telugu: 'koduku' },
+  'D': { kannada: 'magalu', telugu: 'kuthuru' },
+  'H': { kannada: 'ganda', telugu: 'bharta' },
+  'W': { kannada: 'hendati', telugu: 'bharya' },
+  'eB': { kannada: 'anna', telugu: 'anna' },
+  'yB': { kannada: 'tamma', telugu: 'tammudu' },
+  'eZ': { kannada: 'akka', telugu: 'akka' },
+  'yZ': { kannada: 'tangi', telugu: 'chelli' },
+
+  'F.F': { kannada: 'ajja', telugu: 'tatayya' },
+  'M.F': { kannada: 'ajja', telugu: 'tatayya' },
+  'F.M': { kannada: 'ajji', telugu: 'nanamma' },
+  'M.M': { kannada: 'ajji', telugu: 'ammamma' },
+  'S.S': { kannada: 'mommaga', telugu: 'manavadu' },
+  'D.S': { kannada: 'mommaga', telugu: 'manavadu' },
+  'S.D': { kannada: 'mommagalu', telugu: 'manavaralu' },
+  'D.D': { kannada: 'mommagalu', telugu: 'manavaralu' },
+
+  'F.eB': { kannada: 'doddappa', telugu: 'peddananna' },
+  'F.yB': { kannada: 'chikkappa', telugu: 'babai' },
+  'F.eB.W': { kannada: 'doddamma', telugu: 'peddamma' },
+  'F.yB.W': { kannada: 'chikkamma', telugu: 'pinni' },
+  'M.eZ': { kannada: 'doddamma', telugu: 'peddamma' },
+  'M.yZ': { kannada: 'chikkamma', telugu: 'pinni' },
+  'M.eZ.H': { kannada: 'doddappa', telugu: 'peddananna' },
+  'M.yZ.H': { kannada: 'chikkappa', telugu: 'babai' },
+  'F.xZ': { kannada: 'atte', telugu: 'atta' },
+  'F.xZ.H': { kannada: 'mava', telugu: 'mamayya' },
+  'M.xB': { kannada: 'mava', telugu: 'mamayya' },
+  'M.xB.W': { kannada: 'atte', telugu: 'atta' },
+
+  'H.F': { kannada: 'mava', telugu: 'mamagaru' },
+  'W.F': { kannada: 'mava', telugu: 'mamagaru' },
+  'H.M': { kannada: 'atte', telugu: 'attagaru' },
+  'W.M': { kannada: 'atte', telugu: 'attagaru' },
+  'S.W': { kannada: 'sose', telugu: 'kodalu' },
+  'D.H': { kannada: 'aliya', telugu: 'alludu' },
+  'eZ.H': { kannada: 'bhava', telugu: 'bava' },
+  'yZ.H': { kannada: 'bhava', telugu: 'bavamaridi' },
+  'eB.W': { kannada: 'attige', telugu: 'vadina' },
+  'yB.W': { kannada: 'naadini', telugu: 'maradalu' },
+  'W.eB': { kannada: 'bhava', telugu: 'bava' },
+  'W.yB': { kannada: 'maiduna', telugu: 'bavamaridi' },
+  'W.eZ': { kannada: 'attige', telugu: 'vadina' },
+  'W.yZ': { kannada: 'naadini', telugu: 'maradalu' },
+  'H.eB': { kannada: 'bhava', telugu: 'bava' },
+  'H.yB': { kannada: 'maiduna', telugu: 'maridi' },
+  'H.xZ': { kannada: 'naadini', telugu: 'aadapaduchu' }
+};
+
+/**
+ * Describe how `toId` is related to `fromId`, e.g. "paternal uncle" means
+ * the second person is the first person's paternal uncle.
+ * Returns { found, path, english, kannada, telugu, chain, ageAssumed }.
+ */
+function describeRelationship(peopleMap, fromId, toId) {
+  const from = peopleMap.get(fromId);
+  const to = peopleMap.get(toId);
+
+  if (!from || !to) {
+    throw new Error('Both people must exist in the family tree');
+  }
+
+  if (fromId === toId) {
+    return { found: true, path: [fromId], english: 'the same person', kannada: null, telugu: null, chain: '', ageAssumed: false };
+  }
+
+  const steps = findKinshipPath(peopleMap, fromId, toId);
+  if (!steps) {
+    return { found: false, path: [], english: 'no recorded relationship', kannada: null, telugu: null, chain: '', ageAssumed: false };
+  }
+
+  const segments = splitKinshipSegments(fromId, steps);
+  const ages = { assumed: false };
+  const codes = kinshipCodes(segments, peopleMap, ages);
+  const chain = codes.join('.');
+  const terms = lookupKinshipTerms(codes, from, to, ages);
+
+  return {
+    found: true,
+    path: [fromId, ...steps.map(step => step.id)],
+    english: describeSegments(segments, peopleMap, ages),
+    kannada: terms ? terms.kannada : null,
+    telugu: terms ? terms.telugu : null,
+    chain: chain,
+    ageAssumed: ages.assumed
+  };
+}
+
+/**
+ * Cheapest path as a list of { type: 'up' | 'down' | 'spouse', id }.
+ * Within one blood stretch the path only climbs and then descends, so
+ * "son's mother" is never preferred over a recorded wife.
+ */
+function findKinshipPath(peopleMap, fromId, toId) {
+  const start = `${fromId}|up`;
+  const cost = new Map([[start, 0]]);
+  const previous = new Map();
+  const heap = [[0, fromId, 'up']];
+
+  while (heap.length > 0) {
+    const [currentCost, id, phase] = popKinshipHeap(heap);
+    const key = `${id}|${phase}`;
+    if (currentCost > cost.get(key)) continue;
+
+    if (id === toId) {
+      const steps = [];
+      let cursor = key;
+      while (previous.has(cursor)) {
+        const link = previous.get(cursor);
+        steps.unshift({ type: link.type, id: cursor.split('|')[0] });
+        cursor = link.from;
+      }
+      return steps;
+    }
+
+    const person = peopleMap.get(id);
+    if (!person) continue;
+
+    const moves = [];
+    if (phase === 'up') {
+      for (const parentId of kinshipParents(person, peopleMap)) moves.push(['up', parentId, 'up', 1]);
+    }
+    for (const childId of kinshipChildren(person, peopleMap)) moves.push(['down', childId, 'down', 1]);
+    for (const spouseId of person.spouses || []) moves.push(['spouse', spouseId, 'up', MARRIAGE_STEP_COST]);
+
+    for (const [type, nextId, nextPhase, stepCost] of moves) {
+      if (!peopleMap.has(nextId)) continue;
+
+      const nextKey = `${nextId}|${nextPhase}`;
+      const nextCost = currentCost + stepCost;
+      if (cost.has(nextKey) && cost.get(nextKey) <= nextCost) continue;
+
+      cost.set(nextKey, nextCost);
+      previous.set(nextKey, { from: key, type: type });
+      pushKinshipHeap(heap, [nextCost, nextId, nextPhase]);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Recorded parents, plus a parent's spouses when only one parent is
+ * recorded; children are usually listed under the father alone
+ */
+function kinshipParents(person, peopleMap) {
+  const parents = (person.parents || []).filter(id => peopleMap.has(id));
+  if (parents.length !== 1) return parents;
+
+  const implied = (peopleMap.get(parents[0]).spouses || [])
+    .filter(id => peopleMap.has(id) && !parents.includes(id));
+  return parents.concat(implied);
+}
+
+/**
+ * Recorded children, plus a spouse's children who have only that one
+ * parent recorded (the mirror of kinshipParents)
+ */
+function kinshipChildren(person, peopleMap) {
+  const children = (person.children || []).filter(id => peopleMap.has(id));
+
+  for (const spouseId of person.spouses || []) {
+    const spouse = peopleMap.get(spouseId);
+    if (!spouse) continue;
+
+    for (const childId of spouse.children || []) {
+      const child = peopleMap.get(childId);
+      if (child && !children.includes(childId) && kinshipParents(child, peopleMap).includes(person.id)) {
+        children.push(childId);
+      }
+    }
+  }
+
+  return children;
+}
+
+function pushKinshipHeap(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function popKinshipHeap(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === i) break;
+      [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+/**
+ * Group steps into blood stretches ({ ids, up, down }) and marriages
+ * ({ spouse: true, ids })
+ */
+function splitKinshipSegments(fromId, steps) {
+  const segments = [];
+  let current = null;
+  let lastId = fromId;
+
+  for (const step of steps) {
+    if (step.type === 'spouse') {
+      current = null;
+      segments.push({ spouse: true, ids: [lastId, step.id] });
+    } else {
+      if (!current) {
+        current = { spouse: false, ids: [lastId], up: 0, down: 0 };
+        segments.push(current);
+      }
+      current.ids.push(step.id);
+      current[step.type]++;
+    }
+    lastId = step.id;
+  }
+
+  return segments;
+}
+
+/**
+ * Relation codes for the kinship term table (see KINSHIP_TERMS)
+ */
+function kinshipCodes(segments, peopleMap, ages) {
+  const codes = [];
+
+  for (const segment of segments) {
+    if (segment.spouse) {
+      codes.push(genderWord(peopleMap.get(segment.ids[1]), 'H', 'W', 'Sp'));
+      continue;
+    }
+
+    const { ids, up, down } = segment;
+    const turnsThroughSiblings = up > 0 && down > 0;
+
+    for (let i = 1; i <= up; i++) {
+      if (turnsThroughSiblings && i === up) break;
+      codes.push(genderWord(peopleMap.get(ids[i]), 'F', 'M', 'P'));
+    }
+
+    if (turnsThroughSiblings) {
+      const self = peopleMap.get(ids[up - 1]);
+      const sibling = peopleMap.get(ids[up + 1]);
+      const elder = compareSiblingAge(sibling, self, peopleMap, ages);
+      const age = elder === null ? 'x' : elder ? 'e' : 'y';
+      codes.push(age + genderWord(sibling, 'B', 'Z', 'Sib'));
+    }
+
+    for (let i = up + (turnsThroughSiblings ? 2 : 1); i <= up + down; i++) {
+      codes.push(genderWord(peopleMap.get(ids[i]), 'S', 'D', 'C'));
+    }
+  }
+
+  return codes;
+}
+
+/**
+ * True if a is older than b, false if younger, null if unknown. Birth
+ * dates decide when both are recorded; otherwise the order a shared
+ * parent lists them in is taken as birth order and flagged as assumed.
+ */
+function compareSiblingAge(a, b, peopleMap, ages) {
+  if (!a || !b) return null;
+
+  const yearA = parseBirthYear(a);
+  const yearB = parseBirthYear(b);
+  if (yearA !== null && yearB !== null && yearA !== yearB) return yearA < yearB;
+
+  if (a.birthDate && b.birthDate && a.birthDate !== b.birthDate) {
+    return a.birthDate < b.birthDate;
+  }
+
+  const parent = (a.parents || [])
+    .filter(id => (b.parents || []).includes(id))
+    .map(id => peopleMap.get(id))
+    .find(p => p && (p.children || []).includes(a.id) && (p.children || []).includes(b.id));
+  if (!parent) return null;
+
+  ages.assumed = true;
+  return parent.children.indexOf(a.id) < parent.children.indexOf(b.id);
+}
+
+function parseBirthYear(person) {
+  const match = person && person.birthDate ? String(person.birthDate).match(/\d{4}/) : null;
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function lookupKinshipTerms(codes, from, to, ages) {
+  const chain = codes.join('.');
+  if (KINSHIP_TERMS[chain]) return KINSHIP_TERMS[chain];
+
+  const anyAge = codes.map(code => code.replace(/^[ey](B|Z)$/, 'x$1')).join('.');
+  if (KINSHIP_TERMS[anyAge]) return KINSHIP_TERMS[anyAge];
+
+  return cousinTerms(codes, from, to, ages) || nephewTerms(codes, from);
+}
+
+/**
+ * First cousins: children of a father's brother or mother's sister are
+ * addressed as siblings; children of a father's sister or mother's
+ * brother are cross cousins with terms of their own
+ */
+function cousinTerms(codes, from, to, ages) {
+  if (codes.length !== 3) return null;
+
+  const [parent, sibling, child] = codes;
+  if (!['F', 'M'].includes(parent) || !/^[xey][BZ]$/.test(sibling) || !['S', 'D'].includes(child)) return null;
+
+  const yearFrom = parseBirthYear(from);
+  const yearTo = parseBirthYear(to);
+  const elder = yearFrom !== null && yearTo !== null && yearFrom !== yearTo ? yearTo < yearFrom : null;
+  const pick = (older, younger) => (elder === null ? `${older} / ${younger}` : elder ? older : younger);
+
+  const parallel = (parent === 'F') === sibling.endsWith('B');
+
+  if (parallel) {
+    return child === 'S'
+      ? { kannada: pick('anna', 'tamma'), telugu: pick('anna', 'tammudu') }
+      : { kannada: pick('akka', 'tangi'), telugu: pick('akka', 'chelli') };
+  }
+
+  const kannadaFemale = parent === 'F' ? 'atteya magalu' : 'mavana magalu';
+  return child === 'S'
+    ? { kannada: pick('bhava', 'maiduna'), telugu: pick('bava', 'bavamaridi') }
+    : { kannada: pick('attige', kannadaFemale), telugu: pick('vadina', 'maradalu') };
+}
+
+/**
+ * A sibling's children: a man's brother's children and a woman's
+ * sister's children are addressed as one's own; the others are
+ * aliya/sose (Kannada) and menalludu/menakodalu (Telugu)
+ */
+function nephewTerms(codes, from) {
+  if (codes.length !== 2) return null;
+
+  const [sibling, child] = codes;
+  if (!/^[xey][BZ]$/.test(sibling) || !['S', 'D'].includes(child)) return null;
+  if (!['male', 'female'].includes(from.gender)) return null;
+
+  const sameSex = (from.gender === 'male') === sibling.endsWith('B');
+  if (sameSex) {
+    return child === 'S' ? KINSHIP_TERMS.S : KINSHIP_TERMS.D;
+  }
+  return child === 'S'
+    ? { kannada: 'aliya', telugu: 'menalludu' }
+    : { kannada: 'sose', telugu: 'menakodalu' };
+}
+
+/**
+ * English description built from the segments, with the usual in-law
+ * names where a marriage is involved
+ */
+function describeSegments(segments, peopleMap, ages) {
+  const parts = segments.map(segment => describeSegment(segment, peopleMap, ages));
+
+  if (segments.length === 2) {
+    const [first, second] = segments;
+    const target = peopleMap.get(second.ids[second.ids.length - 1]);
+
+    if (first.spouse && !second.spouse && second.up === 1 && second.down === 0) {
+      return genderWord(target, 'father-in-law', 'mother-in-law', 'parent-in-law');
+    }
+    if (!first.spouse && second.spouse && first.up === 0 && first.down === 1) {
+      return genderWord(target, 'son-in-law', 'daughter-in-law', 'child-in-law');
+    }
+    const isSibling = segment => !segment.spouse && segment.up === 1 && segment.down === 1;
+    if ((first.spouse && isSibling(second)) || (isSibling(first) && second.spouse)) {
+      return genderWord(target, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+    }
+  }
+
+  return parts.join("'s ");
+}
+
+function describeSegment(segment, peopleMap, ages) {
+  const target = peopleMap.get(segment.ids[segment.ids.length - 1]);
+
+  if (segment.spouse) {
+    return genderWord(target, 'husband', 'wife', 'spouse');
+  }
+
+  const { ids, up, down } = segment;
+  // Grandparents, uncles and aunts are qualified by the parent they come through
+  const side = genderWord(peopleMap.get(ids[1]), 'paternal ', 'maternal ', '');
+
+  if (up === 0) {
+    if (down === 1) return genderWord(target, 'son', 'daughter', 'child');
+    return greats(down - 2) + genderWord(target, 'grandson', 'granddaughter', 'grandchild');
+  }
+
+  if (down === 0) {
+    if (up === 1) return genderWord(target, 'father', 'mother', 'parent');
+    return side + greats(up - 2) + genderWord(target, 'grandfather', 'grandmother', 'grandparent');
+  }
+
+  if (up === 1 && down === 1) {
+    const elder = compareSiblingAge(target, peopleMap.get(ids[0]), peopleMap, ages);
+    const age = elder === null ? '' : elder ? 'elder ' : 'younger ';
+    return age + genderWord(target, 'brother', 'sister', 'sibling');
+  }
+
+  if (up === 1) {
+    const prefix = down === 2 ? '' : greats(down - 3) + 'grand-';
+    return prefix + genderWord(target, 'nephew', 'niece', 'nephew/niece');
+  }
+
+  if (down === 1) {
+    const prefix = up === 2 ? '' : greats(up - 3) + 'great-';
+    return side + prefix + genderWord(target, 'uncle', 'aunt', 'uncle/aunt');
+  }
+
+  const degree = Math.min(up, down) - 1;
+  const removed = Math.abs(up - down);
+  let text = `${ORDINAL_WORDS[degree] || `${degree}th`} cousin`;
+  if (removed > 0) {
+    text += ` ${REMOVED_WORDS[removed] || `${removed} times`} removed`;
+  }
+  return text;
+}
+
+function greats(count) {
+  return count > 0 ? 'great-'.repeat(count) : '';
+}
+
+function genderWord(person, male, female, unknown) {
+  if (person && person.gender === 'male') return male;
+  if (person && person.gender === 'female') return female;
+  return unknown;
+}
@@ -0,0 +1,425 @@
+// spreadsheet.js - CSV export of the people, and CSV import that matches
+// rows against people already in the tree
+// A sheet's columns are mapped to fields first; each row is then matched
+// by id, or by name plus father, mother and spouse names, and turned into
+// a plan of new people, changed fields and new links. Uses kinshipParents
+// from relationship.js and normalizePersonName from duplicates.js
+
+/**
+ * Export columns: [header, read(person, context)]
+ */
+const CSV_EXPORT_COLUMNS = [
+  ['id', person => person.id],
+  ['name', person => person.name],
+  ['gender', person => person.gender],
+  ['birthDate', person => person.birthDate],
+  ['deathDate', person => person.deathDate],
+  ['notes', person => person.notes],
+  ['fatherId', (person, context) => csvParent(person, context, 'male').map(p => p.id).join('; ')],
+  ['fatherName', (person, context) => csvParent(person, context, 'male').map(p => p.name).join('; ')],
+  ['motherId', (person, context) => csvParent(person, context, 'female').map(p => p.id).join('; ')],
+  ['motherName', (person, context) => csvParent(person, context, 'female').map(p => p.name).join('; ')],
+  ['spouseIds', (person, context) => csvSpouses(person, context).map(p => p.id).join('; ')],
+  ['spouseNames', (person, context) => csvSpouses(person, context).map(p => p.name).join('; ')],
+  ['generation', (person, context) => context.generations.get(person.id) || '']
+];
+
+/**
+ * Fields a sheet column can be mapped to. `match` guesses the field from
+ * a header; they are tried in order, so "Father's name" is a father
+ * column before it is a name column.
+ */
+const CSV_IMPORT_FIELDS = [
+  { key: 'fatherId', label: 'Father id', match: /father.*id|father.*uuid/ },
+  { key: 'motherId', label: 'Mother id', match: /mother.*id|mother.*uuid/ },
+  { key: 'spouseIds', label: 'Spouse ids', match: /(spouse|husband|wife).*(id|uuid)/ },
+  { key: 'father', label: "Father's name", match: /father|dad|s\/o|d\/o/ },
+  { key: 'mother', label: "Mother's name", match: /mother|mom/ },
+  { key: 'spouses', label: "Spouse's name", match: /spouse|husband|wife|w\/o|h\/o/ },
+  { key: 'id', label: 'Id', match: /^(id|uuid|person ?id)$/ },
+  { key: 'name', label: 'Name', match: /name|person/ },
+  { key: 'gender', label: 'Gender', match: /gender|sex/ },
+  { key: 'birthDate', label: 'Birth date', match: /birth|born|dob/ },
+  { key: 'deathDate', label: 'Death date', match: /death|died|dod/ },
+  { key: 'notes', label: 'Notes', match: /note|remark|comment/ }
+];
+
+const CSV_PERSON_FIELDS = ['name', 'gender', 'birthDate', 'deathDate', 'notes'];
+
+/**
+ * The recorded or implied parent of one gender, as a list of 0 or 1
+ */
+function csvParent(person, context, gender) {
+  let parents = kinshipParents(person, context.peopleMap);
+  // A father with several wives leaves the mother unknown
+  if (parents.length > 2) parents = person.parents;
+
+  const parent = parents.map(id => context.peopleMap.get(id)).find(p => p && p.gender === gender);
+  return parent ? [parent] : [];
+}
+
+function csvSpouses(person, context) {
+  return (person.spouses || []).map(id => context.peopleMap.get(id)).filter(Boolean);
+}
+
+/**
+ * One row per person, with a BOM so spreadsheet programs read it as UTF-8
+ */
+function exportPeopleCsv(people, peopleMap, generations) {
+  const context = { peopleMap, generations };
+  const lines = [CSV_EXPORT_COLUMNS.map(([header]) => csvCell(header)).join(',')];
+
+  for (const person of people) {
+    lines.push(CSV_EXPORT_COLUMNS.map(([, read]) => csvCell(read(person, context))).join(','));
+  }
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of cells. Commas, semicolons and tabs are
+ * accepted as the separator, whichever the first line uses most.
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r\n|\r|\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const separator = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('The file ends inside a quoted cell');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Best guess of the field for each header; each field is used once and
+ * anything unrecognised maps to '' (ignored)
+ */
+function guessCsvMapping(headers) {
+  const used = new Set();
+
+  return headers.map(header => {
+    const text = header.toLowerCase().trim();
+    const field = CSV_IMPORT_FIELDS.find(candidate => !used.has(candidate.key) && candidate.match.test(text));
+    if (!field) return '';
+    used.add(field.key);
+    return field.key;
+  });
+}
+
+/**
+ * Work out what importing the rows would do. Returns { entries, counts }
+ * where each entry is { row, status, name, personId, fields, changes,
+ * links, messages } and status is new, changed, unchanged or skipped.
+ * Nothing in the tree is touched.
+ */
+function planCsvImport(rows, mapping, peopleMap) {
+  if (!mapping.includes('name') && !mapping.includes('id')) {
+    throw new Error('Map one column to Name (or Id) so rows can be matched');
+  }
+
+  const byName = new Map();
+  for (const person of peopleMap.values()) {
+    const key = normalizePersonName(person.name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(person);
+  }
+
+  const entries = rows.map((cells, index) => readCsvRow(cells, mapping, index + 2));
+  const matched = new Map();
+
+  for (const entry of entries) {
+    if (entry.status === 'skipped') continue;
+
+    const person = matchCsvRow(entry, mapping, peopleMap, byName);
+    if (entry.status === 'skipped') continue;
+    if (!person && !entry.record.name) {
+      entry.status = 'skipped';
+      entry.messages.push('New people need a name');
+      continue;
+    }
+    if (person && matched.has(person.id)) {
+      entry.status = 'skipped';
+      entry.messages.push(`Same person as row ${matched.get(person.id).row}`);
+      continue;
+    }
+    if (person) {
+      matched.set(person.id, entry);
+      entry.personId = person.id;
+      entry.name = person.name;
+      entry.changes = diffCsvFields(person, entry.record);
+      entry.fields = Object.fromEntries(entry.changes.map(change => [change.field, change.to]));
+    } else {
+      entry.fields = Object.fromEntries(CSV_PERSON_FIELDS
+        .filter(field => entry.record[field])
+        .map(field => [field, entry.record[field]]));
+    }
+  }
+
+  // Relatives can be other rows of the sheet, including new people
+  const sheetNames = new Map();
+  for (const entry of entries) {
+    if (entry.status === 'skipped') continue;
+    const key = normalizePersonName(entry.record.name || entry.name);
+    if (!sheetNames.has(key)) sheetNames.set(key, []);
+    sheetNames.get(key).push(entry);
+  }
+
+  for (const entry of entries) {
+    if (entry.status === 'skipped') continue;
+    planCsvLinks(entry, { peopleMap, byName, sheetNames, matched });
+    entry.status = !entry.personId ? 'new' : entry.changes.length > 0 || entry.links.length > 0 ? 'changed' : 'unchanged';
+  }
+
+  const counts = { new: 0, changed: 0, unchanged: 0, skipped: 0 };
+  entries.forEach(entry => counts[entry.status]++);
+  return { entries, counts };
+}
+
+function readCsvRow(cells, mapping, rowNumber) {
+  const record = { spouses: [], spouseIds: [] };
+
+  mapping.forEach((field, column) => {
+    const value = (cells[column] || '').trim();
+    if (!field || !value) return;
+
+    if (field === 'spouses' || field === 'spouseIds') {
+      record[field].push(...value.split(';').map(part => part.trim()).filter(Boolean));
+    } else if (field === 'gender') {
+      record.gender = /^m/i.test(value) ? 'male' : /^f/i.test(value) ? 'female' : 'unknown';
+    } else {
+      record[field] = value;
+    }
+  });
+
+  const entry = {
+    row: rowNumber,
+    status: 'pending',
+    name: record.name || '',
+    personId: null,
+    record: record,
+    fields: {},
+    changes: [],
+    links: [],
+    messages: []
+  };
+
+  if (!record.name && !record.id) {
+    entry.status = 'skipped';
+    entry.messages.push('No name');
+  }
+  return entry;
+}
+
+/**
+ * The existing person a row describes, or null for someone new. Names
+ * must match; a recorded father, mother or spouse with a different name
+ * rules a candidate out, and matching ones break ties. So does agreeing
+ * on having none, when the sheet has a column for it.
+ */
+function matchCsvRow(entry, mapping, peopleMap, byName) {
+  const record = entry.record;
+  if (record.id) {
+    if (peopleMap.has(record.id)) return peopleMap.get(record.id);
+    entry.messages.push(`Id ${record.id} is not in the tree`);
+  }
+  if (!record.name) return null;
+
+  const relativeNames = person => ({
+    father: csvParent(person, { peopleMap }, 'male').map(p => normalizePersonName(p.name)),
+    mother: csvParent(person, { peopleMap }, 'female').map(p => normalizePersonName(p.name)),
+    spouses: csvSpouses(person, { peopleMap }).map(p => normalizePersonName(p.name))
+  });
+
+  const scored = [];
+  for (const person of byName.get(normalizePersonName(record.name)) || []) {
+    if (record.gender && record.gender !== 'unknown' && person.gender !== 'unknown' && record.gender !== person.gender) continue;
+
+    const known = relativeNames(person);
+    let score = 0;
+    let fits = true;
+    for (const relation of ['father', 'mother', 'spouses']) {
+      const wanted = [].concat(record[relation] || []).map(normalizePersonName);
+      if (wanted.length === 0 && known[relation].length === 0 && mapping.includes(relation)) score += 0.5;
+      if (wanted.length === 0 || known[relation].length === 0) continue;
+      const found = wanted.filter(name => known[relation].includes(name)).length;
+      if (found === 0) fits = false;
+      score += found;
+    }
+    if (fits) scored.push({ person, score });
+  }
+
+  if (scored.length === 0) return null;
+
+  scored.sort((a, b) => b.score - a.score);
+  if (scored.length > 1 && scored[0].score === scored[1].score) {
+    entry.status = 'skipped';
+    const hint = ['father', 'spouses'].some(field => mapping.includes(field))
+      ? 'an id column, as in a CSV export, tells them apart'
+      : 'add a father or spouse column to tell them apart';
+    entry.messages.push(`Matches ${scored.filter(s => s.score === scored[0].score).length} people named ${scored[0].person.name}; ${hint}`);
+    return null;
+  }
+  return scored[0].person;
+}
+
+/**
+ * Fields the row fills in or changes. Blank cells never clear anything.
+ */
+function diffCsvFields(person, record) {
+  return CSV_PERSON_FIELDS
+    .filter(field => record[field] && record[field] !== (person[field] || ''))
+    .filter(field => field !== 'name' || normalizePersonName(record.name) !== normalizePersonName(person.name))
+    .filter(field => field !== 'gender' || record.gender !== 'unknown')
+    .map(field => ({ field, from: person[field] || '', to: record[field] }));
+}
+
+/**
+ * Father, mother and spouse links the tree does not have yet. Targets
+ * are { personId } for people in the tree or { entry } for new rows.
+ */
+function planCsvLinks(entry, context) {
+  const record = entry.record;
+  const person = entry.personId ? context.peopleMap.get(entry.personId) : null;
+  const parents = person ? kinshipParents(person, context.peopleMap) : [];
+  const label = { father: 'Father', mother: 'Mother', spouses: 'Spouse' };
+
+  const resolve = (relation, name, id) => {
+    if (id) {
+      if (context.peopleMap.has(id)) return { personId: id };
+      entry.messages.push(`${label[relation]} id ${id} is not in the tree`);
+      return null;
+    }
+
+    const key = normalizePersonName(name);
+    const rows = (context.sheetNames.get(key) || []).filter(other => other !== entry);
+    if (rows.length === 1) {
+      return rows[0].personId ? { personId: rows[0].personId } : { entry: rows[0] };
+    }
+
+    const people = (context.byName.get(key) || []).filter(p => p.id !== entry.personId);
+    if (rows.length === 0 && people.length === 1) return { personId: people[0].id };
+
+    entry.messages.push(rows.length + people.length === 0
+      ? `${label[relation]} ${name} is not in the tree or the sheet`
+      : `${label[relation]} ${name} could be several people; not linked`);
+    return null;
+  };
+
+  const father = record.father || record.fatherId ? resolve('father', record.father, record.fatherId) : null;
+
+  const wanted = [];
+  if (father) wanted.push({ relation: 'parents', role: 'father', target: father });
+  if (record.mother || record.motherId) {
+    const mother = resolve('mother', record.mother, record.motherId);
+    // Children are listed under their father; a mother married to him is implied
+    if (mother && !(father && willBeCsvSpouses(father, mother, context))) {
+      wanted.push({ relation: 'parents', role: 'mother', target: mother });
+    }
+  }
+  const spouseRefs = record.spouseIds.length > 0
+    ? record.spouseIds.map(id => resolve('spouses', '', id))
+    : record.spouses.map(name => resolve('spouses', name, ''));
+  spouseRefs.filter(Boolean).forEach(target => wanted.push({ relation: 'spouses', role: 'spouse', target }));
+
+  for (const link of wanted) {
+    const targetId = link.target.personId;
+    if (targetId && (link.relation === 'parents' ? parents.includes(targetId) : person && person.spouses.includes(targetId))) {
+      continue;
+    }
+    if (link.relation === 'parents' && person) {
+      const sameRole = parents.map(id => context.peopleMap.get(id))
+        .find(p => p && p.gender === (link.role === 'father' ? 'male' : 'female'));
+      if (sameRole) {
+        entry.messages.push(`Already has ${sameRole.name} as ${link.role}; not changed`);
+        continue;
+      }
+    }
+    link.name = targetId ? context.peopleMap.get(targetId).name : link.target.entry.fields.name;
+    entry.links.push(link);
+  }
+}
+
+/**
+ * Whether two link targets are, or the sheet makes them, a couple
+ */
+function willBeCsvSpouses(a, b, context) {
+  if (a.personId && b.personId && context.peopleMap.get(a.personId).spouses.includes(b.personId)) return true;
+
+  const nameOf = target => normalizePersonName(target.personId ? context.peopleMap.get(target.personId).name : target.entry.record.name);
+  const names = target => target.entry ? target.entry.record.spouses.map(normalizePersonName) : [];
+  return names(a).includes(nameOf(b)) || names(b).includes(nameOf(a));
+}
+
+/**
+ * Carry out a plan from planCsvImport with a FamilyTreeEditor. Run it
+ * inside one EditHistory command so it can be undone as a whole.
+ */
+function applyCsvImportPlan(plan, editor) {
+  const created = new Map();
+
+  for (const entry of plan.entries) {
+    if (entry.status === 'new') {
+      created.set(entry, editor.createPerson(entry.fields).id);
+    } else if (entry.status === 'changed' && entry.changes.length > 0) {
+      editor.updatePerson(entry.personId, entry.fields);
+    }
+  }
+
+  const idOf = target => target.personId || created.get(target.entry);
+  for (const entry of plan.entries) {
+    if (entry.status !== 'new' && entry.status !== 'changed') continue;
+    const personId = entry.personId || created.get(entry);
+
+    for (const link of entry.links) {
+      // Two rows naming each other as spouses only need linking once
+      if (link.relation === 'spouses' && editor.getPerson(personId).spouses.includes(idOf(link.target))) continue;
+      editor.addRelation(personId, link.relation, idOf(link.target));
+    }
+  }
+
+  return created.size;
+}
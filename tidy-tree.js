@@ -0,0 +1,162 @@
+// tidy-tree.js - Tidy tree layout shared by the org chart and the main tree
+// Walker's algorithm in Buchheim, Jünger and Leipert's linear-time form.
+// Nodes are plain objects with a width and children; subtrees are pushed
+// apart along their contours so nothing overlaps, and each parent is
+// centered over its first and last child.
+
+/**
+ * Set x on every node under root to the centre of its box, with at least
+ * `gap` between neighbouring boxes on the same level
+ */
+function layoutTidyTree(root, gap) {
+  prepareTidyNode(root, null, 0);
+  tidyFirstWalk(root, gap);
+  tidySecondWalk(root, -root.prelim);
+}
+
+function prepareTidyNode(node, parent, number) {
+  node.parent = parent;
+  node.number = number;
+  node.prelim = 0;
+  node.mod = 0;
+  node.shift = 0;
+  node.change = 0;
+  node.thread = null;
+  node.ancestor = node;
+  node.children.forEach((child, index) => prepareTidyNode(child, node, index));
+}
+
+function tidyFirstWalk(node, gap) {
+  const leftSibling = node.parent && node.number > 0
+    ? node.parent.children[node.number - 1]
+    : null;
+
+  if (node.children.length === 0) {
+    node.prelim = leftSibling ? leftSibling.prelim + tidySeparation(leftSibling, node, gap) : 0;
+    return;
+  }
+
+  let defaultAncestor = node.children[0];
+  for (const child of node.children) {
+    tidyFirstWalk(child, gap);
+    defaultAncestor = tidyApportion(child, defaultAncestor, gap);
+  }
+
+  tidyExecuteShifts(node);
+
+  const first = node.children[0];
+  const last = node.children[node.children.length - 1];
+  const midpoint = (first.prelim + last.prelim) / 2;
+
+  if (leftSibling) {
+    node.prelim = leftSibling.prelim + tidySeparation(leftSibling, node, gap);
+    node.mod = node.prelim - midpoint;
+  } else {
+    node.prelim = midpoint;
+  }
+}
+
+/**
+ * Push a subtree right until its left contour clears the right
+ * contour of every sibling subtree before it
+ */
+function tidyApportion(node, defaultAncestor, gap) {
+  if (node.number === 0) return defaultAncestor;
+
+  const siblings = node.parent.children;
+  let insideRight = node;
+  let outsideRight = node;
+  let insideLeft = siblings[node.number - 1];
+  let outsideLeft = siblings[0];
+
+  let shiftInsideRight = insideRight.mod;
+  let shiftOutsideRight = outsideRight.mod;
+  let shiftInsideLeft = insideLeft.mod;
+  let shiftOutsideLeft = outsideLeft.mod;
+
+  while (tidyNextRight(insideLeft) && tidyNextLeft(insideRight)) {
+    insideLeft = tidyNextRight(insideLeft);
+    insideRight = tidyNextLeft(insideRight);
+    outsideLeft = tidyNextLeft(outsideLeft);
+    outsideRight = tidyNextRight(outsideRight);
+    outsideRight.ancestor = node;
+
+    const shift = (insideLeft.prelim + shiftInsideLeft) -
+      (insideRight.prelim + shiftInsideRight) +
+      tidySeparation(insideLeft, insideRight, gap);
+
+    if (shift > 0) {
+      const ancestor = insideLeft.ancestor.parent === node.parent
+        ? insideLeft.ancestor
+        : defaultAncestor;
+      tidyMoveSubtree(ancestor, node, shift);
+      shiftInsideRight += shift;
+      shiftOutsideRight += shift;
+    }
+
+    shiftInsideLeft += insideLeft.mod;
+    shiftInsideRight += insideRight.mod;
+    shiftOutsideLeft += outsideLeft.mod;
+    shiftOutsideRight += outsideRight.mod;
+  }
+
+  if (tidyNextRight(insideLeft) && !tidyNextRight(outsideRight)) {
+    outsideRight.thread = tidyNextRight(insideLeft);
+    outsideRight.mod += shiftInsideLeft - shiftOutsideRight;
+  }
+
+  if (tidyNextLeft(insideRight) && !tidyNextLeft(outsideLeft)) {
+    outsideLeft.thread = tidyNextLeft(insideRight);
+    outsideLeft.mod += shiftInsideRight - shiftOutsideLeft;
+    defaultAncestor = node;
+  }
+
+  return defaultAncestor;
+}
+
+function tidyNextLeft(node) {
+  return node.children.length > 0 ? node.children[0] : node.thread;
+}
+
+function tidyNextRight(node) {
+  return node.children.length > 0 ? node.children[node.children.length - 1] : node.thread;
+}
+
+/**
+ * Minimum distance between the centers of two neighbouring boxes
+ */
+function tidySeparation(left, right, gap) {
+  return (left.width + right.width) / 2 + gap;
+}
+
+function tidyMoveSubtree(leftAncestor, right, shift) {
+  const subtrees = right.number - leftAncestor.number;
+  right.change -= shift / subtrees;
+  right.shift += shift;
+  leftAncestor.change += shift / subtrees;
+  right.prelim += shift;
+  right.mod += shift;
+}
+
+/**
+ * Spread the shifts recorded by tidyMoveSubtree over the siblings in between
+ */
+function tidyExecuteShifts(node) {
+  let shift = 0;
+  let change = 0;
+
+  for (let i = node.children.length - 1; i >= 0; i--) {
+    const child = node.children[i];
+    child.prelim += shift;
+    child.mod += shift;
+    change += child.change;
+    shift += child.shift + change;
+  }
+}
+
+function tidySecondWalk(node, modSum) {
+  node.x = node.prelim + modSum;
+  for (const child of node.children) {
+    tidySecondWalk(child, modSum + node.mod);
+  }
+}
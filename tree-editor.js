@@ -0,0 +1,310 @@
+// tree-editor.js - Edits to family tree data that keep links bidirectional
+// No dependencies, mutates the shared treeData.people array and peopleMap
+
+const EDITABLE_FIELDS = ['name', 'gender', 'birthDate', 'deathDate', 'notes'];
+const RELATION_FIELDS = ['parents', 'spouses', 'children'];
+
+class FamilyTreeEditor {
+  constructor(treeData, peopleMap) {
+    this.treeData = treeData;
+    this.peopleMap = peopleMap;
+    this.recorder = null;
+  }
+
+  /**
+   * Tell the active recorder (see EditHistory) a record is about to change
+   */
+  touch(personId) {
+    if (this.recorder) this.recorder.capture(personId);
+  }
+
+  /**
+   * Add a new person with no relations and return them
+   */
+  createPerson(fields = {}) {
+    const person = {
+      id: generatePersonId(),
+      name: '',
+      gender: 'unknown',
+      birthDate: '',
+      deathDate: '',
+      notes: '',
+      parents: [],
+      spouses: [],
+      children: []
+    };
+
+    this.applyFields(person, fields);
+    if (!person.name) {
+      throw new Error('A new person needs a name');
+    }
+
+    this.touch(person.id);
+    this.treeData.people.push(person);
+    this.peopleMap.set(person.id, person);
+    return person;
+  }
+
+  /**
+   * Change a person's own fields (name, gender, dates, notes)
+   */
+  updatePerson(personId, fields) {
+    const person = this.getPerson(personId);
+    const name = fields.name !== undefined ? String(fields.name).trim() : person.name;
+    if (!name) {
+      throw new Error('Name cannot be empty');
+    }
+
+    this.touch(personId);
+    this.applyFields(person, fields);
+    return person;
+  }
+
+  applyFields(person, fields) {
+    for (const field of EDITABLE_FIELDS) {
+      if (fields[field] === undefined) continue;
+      person[field] = String(fields[field]).trim();
+    }
+
+    if (!['male', 'female', 'unknown'].includes(person.gender)) {
+      person.gender = 'unknown';
+    }
+  }
+
+  /**
+   * Link two people in the given relation; relation is read from the
+   * first person's side, so addRelation(a, 'parents', b) makes b a parent of a
+   */
+  addRelation(personId, relation, otherId) {
+    if (relation === 'parents') return this.linkParent(personId, otherId);
+    if (relation === 'children') return this.linkParent(otherId, personId);
+    if (relation === 'spouses') return this.linkSpouse(personId, otherId);
+    throw new Error(`Unknown relation "${relation}"`);
+  }
+
+  removeRelation(personId, relation, otherId) {
+    const person = this.getPerson(personId);
+    const other = this.getPerson(otherId);
+
+    if (!RELATION_FIELDS.includes(relation)) {
+      throw new Error(`Unknown relation "${relation}"`);
+    }
+
+    this.touch(personId);
+    this.touch(otherId);
+
+    if (relation === 'parents') {
+      removeLinkId(person.parents, otherId);
+      removeLinkId(other.children, personId);
+    } else if (relation === 'children') {
+      removeLinkId(person.children, otherId);
+      removeLinkId(other.parents, personId);
+    } else {
+      removeLinkId(person.spouses, otherId);
+      removeLinkId(other.spouses, personId);
+    }
+  }
+
+  linkParent(childId, parentId) {
+    const child = this.getPerson(childId);
+    const parent = this.getPerson(parentId);
+
+    if (childId === parentId) {
+      throw new Error(`${child.name} cannot be their own parent`);
+    }
+    if (this.isDescendant(parentId, childId)) {
+      throw new Error(`${parent.name} is a descendant of ${child.name}`);
+    }
+
+    this.touch(childId);
+    this.touch(parentId);
+    addLinkId(child.parents, parentId);
+    addLinkId(parent.children, childId);
+  }
+
+  linkSpouse(personId, spouseId) {
+    const person = this.getPerson(personId);
+    const spouse = this.getPerson(spouseId);
+
+    if (personId === spouseId) {
+      throw new Error(`${person.name} cannot be their own spouse`);
+    }
+
+    this.touch(personId);
+    this.touch(spouseId);
+    addLinkId(person.spouses, spouseId);
+    addLinkId(spouse.spouses, personId);
+  }
+
+  /**
+   * Add already linked records, such as the people from an import. Their
+   * ids must be new to the tree.
+   */
+  addPeople(records) {
+    for (const record of records) {
+      if (this.peopleMap.has(record.id)) {
+        throw new Error(`${record.name} has an id that is already in the tree`);
+      }
+    }
+
+    for (const record of records) {
+      this.touch(record.id);
+      this.treeData.people.push(record);
+      this.peopleMap.set(record.id, record);
+    }
+  }
+
+  /**
+   * Swap everyone in the tree for the given records
+   */
+  replacePeople(records) {
+    // Touched last to first so undo puts them back in their old order
+    for (const person of [...this.treeData.people].reverse()) {
+      this.touch(person.id);
+      this.peopleMap.delete(person.id);
+    }
+    this.treeData.people.length = 0;
+
+    this.addPeople(records);
+  }
+
+  /**
+   * Remove a person and every reference to them
+   */
+  deletePerson(personId) {
+    const person = this.getPerson(personId);
+
+    for (const relation of RELATION_FIELDS) {
+      for (const otherId of [...person[relation]]) {
+        if (this.peopleMap.has(otherId)) {
+          this.removeRelation(personId, relation, otherId);
+        }
+      }
+    }
+
+    // Catch one-sided links the person's own arrays did not mention
+    for (const other of this.treeData.people) {
+      for (const relation of RELATION_FIELDS) {
+        if (other[relation].includes(personId)) {
+          this.touch(other.id);
+          removeLinkId(other[relation], personId);
+        }
+      }
+    }
+
+    this.touch(personId);
+    const index = this.treeData.people.indexOf(person);
+    if (index !== -1) this.treeData.people.splice(index, 1);
+    this.peopleMap.delete(personId);
+    return person;
+  }
+
+  /**
+   * Fold duplicateId into keepId. The kept record takes the chosen fields
+   * and the union of both people's relations, every reference to the
+   * duplicate is rewritten to point at it, and the merge is noted.
+   */
+  mergePeople(keepId, duplicateId, fields = {}) {
+    const keep = this.getPerson(keepId);
+    const duplicate = this.getPerson(duplicateId);
+
+    if (keepId === duplicateId) {
+      throw new Error('Cannot merge a person with themselves');
+    }
+    if (this.isDescendant(keepId, duplicateId) || this.isDescendant(duplicateId, keepId)) {
+      throw new Error(`${keep.name} and ${duplicate.name} are in the same direct line`);
+    }
+
+    this.touch(keepId);
+    this.touch(duplicateId);
+    this.applyFields(keep, fields);
+
+    for (const other of this.treeData.people) {
+      if (other === duplicate) continue;
+
+      for (const relation of RELATION_FIELDS) {
+        if (!other[relation].includes(duplicateId)) continue;
+
+        this.touch(other.id);
+        removeLinkId(other[relation], duplicateId);
+        if (other.id !== keepId) addLinkId(other[relation], keepId);
+      }
+    }
+
+    for (const relation of RELATION_FIELDS) {
+      const mirror = relation === 'parents' ? 'children' : relation === 'children' ? 'parents' : 'spouses';
+
+      for (const otherId of duplicate[relation]) {
+        const other = this.peopleMap.get(otherId);
+        if (!other || otherId === keepId) continue;
+
+        this.touch(otherId);
+        addLinkId(keep[relation], otherId);
+        addLinkId(other[mirror], keepId);
+      }
+    }
+
+    const mergeNote = `Merged with duplicate record "${duplicate.name}" (${duplicateId}) on ${new Date().toISOString().slice(0, 10)}.`;
+    keep.notes = keep.notes ? `${keep.notes}\n${mergeNote}` : mergeNote;
+
+    const index = this.treeData.people.indexOf(duplicate);
+    if (index !== -1) this.treeData.people.splice(index, 1);
+    this.peopleMap.delete(duplicateId);
+    return keep;
+  }
+
+  /**
+   * True if candidateId is reachable from ancestorId through children
+   */
+  isDescendant(candidateId, ancestorId) {
+    const seen = new Set([ancestorId]);
+    const queue = [ancestorId];
+
+    while (queue.length > 0) {
+      const person = this.peopleMap.get(queue.shift());
+      if (!person) continue;
+
+      for (const childId of person.children) {
+        if (childId === candidateId) return true;
+        if (!seen.has(childId)) {
+          seen.add(childId);
+          queue.push(childId);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  getPerson(personId) {
+    const person = this.peopleMap.get(personId);
+    if (!person) {
+      throw new Error(`No person with id ${personId}`);
+    }
+    return person;
+  }
+}
+
+function addLinkId(list, id) {
+  if (!list.includes(id)) list.push(id);
+}
+
+function removeLinkId(list, id) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i] === id) list.splice(i, 1);
+  }
+}
+
+/**
+ * Random v4 UUID, matching the ids already in family-tree.json
+ */
+function generatePersonId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+  });
+}
@@ -0,0 +1,278 @@
+// tree-query.js - Small query language for filtering people
+// Terms like `gen:3 gender:female has:children` are ANDed; OR, a leading
+// "-" or NOT, and parentheses combine them. Uses kinshipParents and
+// kinshipChildren from relationship.js
+
+/**
+ * What each field reads from a person. Kinds: text (contains), choice
+ * (one of `values`), number (compared with : = < <= > >=), flag
+ * (has:/unknown:) and person (a name or id, for family lines).
+ */
+const TREE_QUERY_FIELDS = {
+  name: { kind: 'text', read: person => person.name },
+  notes: { kind: 'text', read: person => person.notes },
+  gender: { kind: 'choice', values: ['male', 'female', 'unknown'], read: person => person.gender || 'unknown' },
+  gen: { kind: 'number', read: (person, context) => context.generations.get(person.id) },
+  children: { kind: 'number', read: (person, context) => kinshipChildren(person, context.peopleMap).length },
+  spouses: { kind: 'number', read: person => (person.spouses || []).length },
+  parents: { kind: 'number', read: person => (person.parents || []).length },
+  born: { kind: 'number', read: person => queryYear(person.birthDate) },
+  died: { kind: 'number', read: person => queryYear(person.deathDate) },
+  has: { kind: 'flag' },
+  unknown: { kind: 'flag' },
+  'descendant-of': { kind: 'person' },
+  'ancestor-of': { kind: 'person' }
+};
+
+/**
+ * Things has: and unknown: can ask about
+ */
+const TREE_QUERY_FLAGS = {
+  children: (person, context) => kinshipChildren(person, context.peopleMap).length > 0,
+  spouse: person => (person.spouses || []).length > 0,
+  parents: person => (person.parents || []).length > 0,
+  notes: person => Boolean((person.notes || '').trim()),
+  birth: person => Boolean(person.birthDate),
+  death: person => Boolean(person.deathDate),
+  gender: person => person.gender === 'male' || person.gender === 'female'
+};
+
+const TREE_QUERY_COMPARISONS = {
+  ':': (a, b) => a === b,
+  '=': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b
+};
+
+function queryYear(date) {
+  const match = (date || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : undefined;
+}
+
+/**
+ * Split a query into tokens: ( ) - OR AND NOT, field terms and bare
+ * words. Quoted values may contain spaces.
+ */
+function tokenizeTreeQuery(text) {
+  const tokens = [];
+  const termPattern = /([a-z][a-z-]*)(>=|<=|:|=|<|>)("[^"]*"?|[^\s()"]*)/iy;
+  const wordPattern = /"[^"]*"?|[^\s()"]+/y;
+  let index = 0;
+
+  const unquote = (value, column) => {
+    if (!value.startsWith('"')) return value;
+    if (value.length < 2 || !value.endsWith('"')) {
+      throw new Error(`Missing closing quote (column ${column})`);
+    }
+    return value.slice(1, -1);
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    const column = index + 1;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, column });
+      index++;
+    } else if (char === '-' && text[index + 1] && !/\s/.test(text[index + 1])) {
+      tokens.push({ type: 'NOT', column });
+      index++;
+    } else {
+      termPattern.lastIndex = index;
+      const term = termPattern.exec(text);
+      if (term) {
+        tokens.push({
+          type: 'term',
+          field: term[1].toLowerCase(),
+          operator: term[2],
+          value: unquote(term[3], column),
+          column
+        });
+        index = termPattern.lastIndex;
+        continue;
+      }
+
+      wordPattern.lastIndex = index;
+      const word = wordPattern.exec(text)[0];
+      if (['OR', 'AND', 'NOT'].includes(word)) {
+        tokens.push({ type: word, column });
+      } else {
+        tokens.push({ type: 'term', field: 'name', operator: ':', value: unquote(word, column), column });
+      }
+      index = wordPattern.lastIndex;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query into a tree of { type: 'and' | 'or', items },
+ * { type: 'not', item } and term tokens. Empty queries give null.
+ */
+function parseTreeQuery(text) {
+  const tokens = tokenizeTreeQuery(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      position++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+        continue;
+      }
+      items.push(parseUnary());
+    }
+    if (items.length === 0) {
+      const token = peek();
+      throw new Error(token ? `Expected a term before "${token.type}" (column ${token.column})` : 'Query ends too early');
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new Error('Query ends too early');
+
+    if (token.type === 'NOT') {
+      position++;
+      return { type: 'not', item: parseUnary() };
+    }
+    if (token.type === '(') {
+      position++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error(`Missing ")" for the "(" at column ${token.column}`);
+      }
+      position++;
+      return inner;
+    }
+    position++;
+    return token;
+  };
+
+  if (tokens.length === 0) return null;
+
+  const query = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ")" (column ${tokens[position].column})`);
+  }
+  return query;
+}
+
+/**
+ * Turn query text into a test person => boolean, or null for an empty
+ * query. Throws with a readable message on bad syntax, unknown fields
+ * or names that match nobody.
+ */
+function compileTreeQuery(text, peopleMap, generations) {
+  const query = parseTreeQuery(text);
+  if (!query) return null;
+
+  const context = { peopleMap, generations };
+  return compileTreeQueryNode(query, context);
+}
+
+function compileTreeQueryNode(node, context) {
+  if (node.type === 'and') {
+    const tests = node.items.map(item => compileTreeQueryNode(item, context));
+    return person => tests.every(test => test(person));
+  }
+  if (node.type === 'or') {
+    const tests = node.items.map(item => compileTreeQueryNode(item, context));
+    return person => tests.some(test => test(person));
+  }
+  if (node.type === 'not') {
+    const test = compileTreeQueryNode(node.item, context);
+    return person => !test(person);
+  }
+
+  return compileTreeQueryTerm(node, context);
+}
+
+function compileTreeQueryTerm(term, context) {
+  const field = TREE_QUERY_FIELDS[term.field];
+  const label = `${term.field}${term.operator}`;
+
+  if (!field) {
+    throw new Error(`Unknown field "${term.field}" (column ${term.column}). ` +
+      `Try ${Object.keys(TREE_QUERY_FIELDS).join(', ')}`);
+  }
+  if (term.value === '') {
+    throw new Error(`"${label}" needs a value (column ${term.column})`);
+  }
+  if (field.kind !== 'number' && term.operator !== ':') {
+    throw new Error(`"${term.field}" only takes ":" (column ${term.column})`);
+  }
+
+  const value = term.value.toLowerCase();
+
+  if (field.kind === 'text') {
+    return person => (field.read(person) || '').toLowerCase().includes(value);
+  }
+
+  if (field.kind === 'choice') {
+    if (!field.values.includes(value)) {
+      throw new Error(`"${label}" should be one of ${field.values.join(', ')} (column ${term.column})`);
+    }
+    return person => field.read(person) === value;
+  }
+
+  if (field.kind === 'number') {
+    if (!/^\d+$/.test(value)) {
+      throw new Error(`"${label}" needs a whole number, not "${term.value}" (column ${term.column})`);
+    }
+    const number = parseInt(value, 10);
+    const compare = TREE_QUERY_COMPARISONS[term.operator];
+    return person => {
+      const actual = field.read(person, context);
+      return actual !== undefined && compare(actual, number);
+    };
+  }
+
+  if (field.kind === 'flag') {
+    const flag = TREE_QUERY_FLAGS[value];
+    if (!flag) {
+      throw new Error(`"${label}" should be one of ${Object.keys(TREE_QUERY_FLAGS).join(', ')} (column ${term.column})`);
+    }
+    return term.field === 'has'
+      ? person => flag(person, context)
+      : person => !flag(person, context);
+  }
+
+  // descendant-of / ancestor-of: everyone on that side of the named people
+  const starts = [...context.peopleMap.values()]
+    .filter(person => person.id === term.value || (person.name || '').toLowerCase() === value);
+  if (starts.length === 0) {
+    throw new Error(`No one is named "${term.value}" (column ${term.column})`);
+  }
+
+  const step = term.field === 'descendant-of' ? kinshipChildren : kinshipParents;
+  const relatives = new Set();
+  const queue = starts.map(person => person.id);
+
+  while (queue.length > 0) {
+    for (const id of step(context.peopleMap.get(queue.shift()), context.peopleMap)) {
+      if (relatives.has(id)) continue;
+      relatives.add(id);
+      queue.push(id);
+    }
+  }
+
+  return person => relatives.has(person.id);
+}
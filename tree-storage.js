@@ -0,0 +1,107 @@
+// tree-storage.js - Local working copy of the family tree in IndexedDB,
+// plus export of the working copy in the family-tree.json schema
+
+const TREE_DB_NAME = 'kashyapa-family-tree';
+const TREE_DB_VERSION = 1;
+const TREE_STORE_NAME = 'workingCopy';
+const WORKING_COPY_KEY = 'current';
+
+function openTreeDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(TREE_DB_NAME, TREE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(TREE_STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the working copy store and resolve with its result
+ */
+async function runTreeStoreRequest(mode, makeRequest) {
+  const db = await openTreeDatabase();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(TREE_STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(TREE_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * The saved working copy: { data, savedAt, publishedUpdatedAt }, or null
+ */
+async function loadWorkingCopy() {
+  const record = await runTreeStoreRequest('readonly', store => store.get(WORKING_COPY_KEY));
+  return record || null;
+}
+
+/**
+ * Save the working copy; publishedUpdatedAt records which version of
+ * family-tree.json the edits started from
+ */
+async function saveWorkingCopy(treeData, publishedUpdatedAt) {
+  const record = {
+    data: treeData,
+    savedAt: new Date().toISOString(),
+    publishedUpdatedAt: publishedUpdatedAt || null
+  };
+
+  await runTreeStoreRequest('readwrite', store => store.put(record, WORKING_COPY_KEY));
+  return record;
+}
+
+async function clearWorkingCopy() {
+  await runTreeStoreRequest('readwrite', store => store.delete(WORKING_COPY_KEY));
+}
+
+/**
+ * The working copy in the family-tree.json schema with a fresh updatedAt
+ */
+function buildExportDocument(treeData) {
+  const now = new Date().toISOString();
+
+  return {
+    schemaVersion: treeData.schemaVersion || '1.0',
+    app: treeData.app || 'FamilyTreeJSONBuilder',
+    createdAt: treeData.createdAt || now,
+    updatedAt: now,
+    people: treeData.people
+  };
+}
+
+/**
+ * Offer text to the user as a file download
+ */
+function downloadTextFile(text, filename, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadFamilyJson(treeData, filename = 'family-tree.json') {
+  const exportDocument = buildExportDocument(treeData);
+  downloadTextFile(JSON.stringify(exportDocument, null, 2), filename, 'application/json');
+  return exportDocument;
+}
@@ -0,0 +1,290 @@
+// tree-validator.js - Structural integrity checks for family tree data
+// No dependencies, works on the raw { people: [...] } document
+
+const LINK_FIELDS = ['parents', 'spouses', 'children'];
+
+/**
+ * Validate the links between people in a family tree document.
+ * Returns { issues, errorCount, warningCount, checkedCount }.
+ */
+function validateFamilyTree(treeData) {
+  const issues = [];
+  const people = (treeData && Array.isArray(treeData.people)) ? treeData.people : null;
+
+  if (!people) {
+    issues.push({
+      type: 'schema',
+      severity: 'error',
+      personId: null,
+      relatedId: null,
+      message: 'Document has no "people" array'
+    });
+    return summarizeValidation(issues, 0);
+  }
+
+  const peopleMap = new Map();
+  for (const person of people) {
+    if (!person || !person.id) {
+      issues.push({
+        type: 'schema',
+        severity: 'error',
+        personId: null,
+        relatedId: null,
+        message: `Record "${person && person.name || 'Unknown'}" has no id`
+      });
+      continue;
+    }
+    if (peopleMap.has(person.id)) {
+      issues.push({
+        type: 'duplicate-id',
+        severity: 'error',
+        personId: person.id,
+        relatedId: null,
+        message: `${quotePersonName(person)} shares an id with ${quotePersonName(peopleMap.get(person.id))}`
+      });
+      continue;
+    }
+    peopleMap.set(person.id, person);
+  }
+
+  for (const person of peopleMap.values()) {
+    checkPersonLinks(person, peopleMap, issues);
+  }
+
+  findAncestryCycles(peopleMap, issues);
+  findIslands(peopleMap, issues);
+
+  return summarizeValidation(issues, peopleMap.size);
+}
+
+/**
+ * Check one person's link arrays for shape, dangling ids,
+ * self-references and links the other side does not mirror
+ */
+function checkPersonLinks(person, peopleMap, issues) {
+  const name = quotePersonName(person);
+
+  for (const field of LINK_FIELDS) {
+    if (!Array.isArray(person[field])) {
+      issues.push({
+        type: 'schema',
+        severity: 'error',
+        personId: person.id,
+        relatedId: null,
+        message: `${name} has no "${field}" array`
+      });
+      continue;
+    }
+
+    const seen = new Set();
+    for (const id of person[field]) {
+      if (seen.has(id)) {
+        issues.push({
+          type: 'duplicate-link',
+          severity: 'warning',
+          personId: person.id,
+          relatedId: id,
+          message: `${name} lists the same id twice in "${field}"`
+        });
+        continue;
+      }
+      seen.add(id);
+
+      if (id === person.id) {
+        issues.push({
+          type: 'self-reference',
+          severity: 'error',
+          personId: person.id,
+          relatedId: null,
+          message: `${name} lists themselves in "${field}"`
+        });
+        continue;
+      }
+
+      const other = peopleMap.get(id);
+      if (!other) {
+        issues.push({
+          type: 'dangling',
+          severity: 'error',
+          personId: person.id,
+          relatedId: null,
+          message: `${name} lists unknown id ${id} in "${field}"`
+        });
+        continue;
+      }
+
+      const mirror = mirrorLinkField(field);
+      if (Array.isArray(other[mirror]) && !other[mirror].includes(person.id)) {
+        issues.push({
+          type: field === 'spouses' ? 'one-sided-spouse' : 'one-sided-parent',
+          severity: 'warning',
+          personId: person.id,
+          relatedId: id,
+          message: oneSidedLinkMessage(field, person, other)
+        });
+      }
+    }
+  }
+}
+
+function mirrorLinkField(field) {
+  if (field === 'parents') return 'children';
+  if (field === 'children') return 'parents';
+  return 'spouses';
+}
+
+function oneSidedLinkMessage(field, person, other) {
+  const name = quotePersonName(person);
+  const otherName = quotePersonName(other);
+  if (field === 'parents') {
+    return `${name} lists ${otherName} as a parent, but ${otherName} does not list them as a child`;
+  }
+  if (field === 'children') {
+    return `${name} lists ${otherName} as a child, but ${otherName} does not list them as a parent`;
+  }
+  return `${name} lists ${otherName} as a spouse, but the link is not mutual`;
+}
+
+/**
+ * Report every loop in the parent -> child graph. Both sides of each
+ * link are followed, so a cycle is found even if only one side records it.
+ */
+function findAncestryCycles(peopleMap, issues) {
+  const childrenOf = new Map();
+  for (const id of peopleMap.keys()) childrenOf.set(id, new Set());
+
+  for (const person of peopleMap.values()) {
+    for (const childId of person.children || []) {
+      if (peopleMap.has(childId) && childId !== person.id) childrenOf.get(person.id).add(childId);
+    }
+    for (const parentId of person.parents || []) {
+      if (peopleMap.has(parentId) && parentId !== person.id) childrenOf.get(parentId).add(person.id);
+    }
+  }
+
+  // 0 = unvisited, 1 = on the current path, 2 = finished
+  const state = new Map();
+  const reported = new Set();
+
+  for (const startId of peopleMap.keys()) {
+    if (state.get(startId)) continue;
+
+    const path = [];
+    const stack = [{ id: startId, next: childrenOf.get(startId).values() }];
+    state.set(startId, 1);
+    path.push(startId);
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const step = frame.next.next();
+
+      if (step.done) {
+        state.set(frame.id, 2);
+        stack.pop();
+        path.pop();
+        continue;
+      }
+
+      const childId = step.value;
+      const childState = state.get(childId);
+
+      if (childState === 1) {
+        const cycle = path.slice(path.indexOf(childId));
+        const key = [...cycle].sort().join('|');
+        if (!reported.has(key)) {
+          reported.add(key);
+          const names = cycle.concat(childId).map(id => quotePersonName(peopleMap.get(id)));
+          issues.push({
+            type: 'cycle',
+            severity: 'error',
+            personId: childId,
+            relatedId: cycle[cycle.length - 1],
+            personIds: cycle,
+            message: `Ancestry cycle: ${names.join(' → ')}`
+          });
+        }
+      } else if (!childState) {
+        state.set(childId, 1);
+        path.push(childId);
+        stack.push({ id: childId, next: childrenOf.get(childId).values() });
+      }
+    }
+  }
+}
+
+/**
+ * Group people into connected components over all link types and report
+ * every component other than the largest as an orphaned island
+ */
+function findIslands(peopleMap, issues) {
+  const neighbours = new Map();
+  for (const id of peopleMap.keys()) neighbours.set(id, new Set());
+
+  for (const person of peopleMap.values()) {
+    for (const field of LINK_FIELDS) {
+      for (const id of person[field] || []) {
+        if (!peopleMap.has(id) || id === person.id) continue;
+        neighbours.get(person.id).add(id);
+        neighbours.get(id).add(person.id);
+      }
+    }
+  }
+
+  const components = [];
+  const seen = new Set();
+
+  for (const startId of peopleMap.keys()) {
+    if (seen.has(startId)) continue;
+
+    const component = [];
+    const queue = [startId];
+    seen.add(startId);
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      component.push(id);
+      for (const next of neighbours.get(id)) {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  if (components.length < 2) return;
+
+  components.sort((a, b) => b.length - a.length);
+
+  for (const component of components.slice(1)) {
+    const first = peopleMap.get(component[0]);
+    const message = component.length === 1
+      ? `${quotePersonName(first)} is not connected to anyone in the tree`
+      : `${component.length} people around ${quotePersonName(first)} are not connected to the main tree`;
+
+    issues.push({
+      type: 'island',
+      severity: 'warning',
+      personId: component[0],
+      relatedId: null,
+      personIds: component,
+      message: message
+    });
+  }
+}
+
+function quotePersonName(person) {
+  if (!person) return 'Unknown';
+  return `"${person.name || 'Unknown'}"`;
+}
+
+function summarizeValidation(issues, checkedCount) {
+  return {
+    issues: issues,
+    errorCount: issues.filter(i => i.severity === 'error').length,
+    warningCount: issues.filter(i => i.severity === 'warning').length,
+    checkedCount: checkedCount
+  };
+}
@@ -0,0 +1,200 @@
+// tree-window.js - Draw only the part of a laid-out tree that is on screen
+// Works with ViewportController from viewport.js. The caller positions
+// every box and connector once; as the view pans and zooms, box elements
+// that leave the visible area are recycled for the ones coming into it.
+
+class TreeWindow {
+  /**
+   * `renderBox(element, box)` fills an empty element for one box; boxes
+   * carry left, top, width and height in content coordinates
+   */
+  constructor(viewport, renderBox) {
+    this.viewport = viewport;
+    this.content = viewport.content;
+    this.renderBox = renderBox;
+
+    this.boxes = [];
+    this.lines = [];
+    this.width = 0;
+    this.height = 0;
+    this.boxGrid = new Map();
+    this.lineGrid = new Map();
+    this.renderedBoxes = new Map();
+    this.renderedLines = new Map();
+    this.pool = [];
+    this.pending = false;
+
+    this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.svg.setAttribute('class', 'tree-lines');
+    this.layer = document.createElement('div');
+    this.layer.className = 'tree-boxes';
+    this.content.appendChild(this.svg);
+    this.content.appendChild(this.layer);
+
+    window.addEventListener('resize', () => this.scheduleUpdate());
+  }
+
+  /**
+   * Replace the whole layout. Lines are { d, left, top, right, bottom }
+   * with d an SVG path.
+   */
+  setLayout(boxes, lines, width, height) {
+    this.clear();
+    this.boxes = boxes;
+    this.lines = lines;
+    this.width = width;
+    this.height = height;
+
+    this.content.style.width = width + 'px';
+    this.content.style.height = height + 'px';
+    this.svg.setAttribute('width', width);
+    this.svg.setAttribute('height', height);
+
+    this.boxGrid = new Map();
+    this.lineGrid = new Map();
+    boxes.forEach((box, index) => {
+      this.addToGrid(this.boxGrid, index, box.left, box.top, box.left + box.width, box.top + box.height);
+    });
+    lines.forEach((line, index) => {
+      this.addToGrid(this.lineGrid, index, line.left, line.top, line.right, line.bottom);
+    });
+
+    this.update();
+  }
+
+  clear() {
+    for (const element of this.renderedBoxes.values()) {
+      element.remove();
+      this.pool.push(element);
+    }
+    this.renderedBoxes.clear();
+    this.renderedLines.clear();
+    this.svg.textContent = '';
+  }
+
+  addToGrid(grid, key, left, top, right, bottom) {
+    const size = TreeWindow.GRID_SIZE;
+    for (let gx = Math.floor(left / size); gx <= Math.floor(right / size); gx++) {
+      for (let gy = Math.floor(top / size); gy <= Math.floor(bottom / size); gy++) {
+        const cell = `${gx},${gy}`;
+        if (!grid.has(cell)) grid.set(cell, []);
+        grid.get(cell).push(key);
+      }
+    }
+  }
+
+  queryGrid(grid, view) {
+    const size = TreeWindow.GRID_SIZE;
+    const found = new Set();
+    for (let gx = Math.floor(view.left / size); gx <= Math.floor(view.right / size); gx++) {
+      for (let gy = Math.floor(view.top / size); gy <= Math.floor(view.bottom / size); gy++) {
+        for (const key of grid.get(`${gx},${gy}`) || []) found.add(key);
+      }
+    }
+    return found;
+  }
+
+  scheduleUpdate() {
+    if (this.pending) return;
+    this.pending = true;
+
+    const run = () => {
+      this.pending = false;
+      this.update();
+    };
+    if (typeof requestAnimationFrame !== 'undefined') {
+      requestAnimationFrame(run);
+    } else {
+      setTimeout(run, 0);
+    }
+  }
+
+  /**
+   * Visible part of the content plus half a screen on every side, so a
+   * quick pan does not show empty space before the next frame. A frame
+   * that has no size yet is taken to be the window.
+   */
+  getRenderWindow() {
+    const view = this.viewport.getVisibleBox();
+    const width = (view.right - view.left) || window.innerWidth / this.viewport.scale;
+    const height = (view.bottom - view.top) || window.innerHeight / this.viewport.scale;
+
+    return {
+      left: view.left - width / 2,
+      top: view.top - height / 2,
+      right: view.left + width * 1.5,
+      bottom: view.top + height * 1.5
+    };
+  }
+
+  /**
+   * Bring the DOM in line with the render window: boxes that moved out
+   * go back to the pool and are reused for the ones coming in
+   */
+  update() {
+    const view = this.getRenderWindow();
+    const overlaps = (left, top, right, bottom) => right >= view.left && left <= view.right &&
+      bottom >= view.top && top <= view.bottom;
+
+    const boxIndexes = new Set([...this.queryGrid(this.boxGrid, view)].filter(index => {
+      const box = this.boxes[index];
+      return overlaps(box.left, box.top, box.left + box.width, box.top + box.height);
+    }));
+
+    for (const [index, element] of this.renderedBoxes) {
+      if (boxIndexes.has(index)) continue;
+      element.remove();
+      this.pool.push(element);
+      this.renderedBoxes.delete(index);
+    }
+
+    for (const index of boxIndexes) {
+      if (this.renderedBoxes.has(index)) continue;
+      const element = this.pool.pop() || document.createElement('div');
+      this.fill(element, this.boxes[index]);
+      this.layer.appendChild(element);
+      this.renderedBoxes.set(index, element);
+    }
+
+    const lineIndexes = new Set([...this.queryGrid(this.lineGrid, view)].filter(index => {
+      const line = this.lines[index];
+      return overlaps(line.left, line.top, line.right, line.bottom);
+    }));
+
+    for (const [index, path] of this.renderedLines) {
+      if (lineIndexes.has(index)) continue;
+      path.remove();
+      this.renderedLines.delete(index);
+    }
+
+    for (const index of lineIndexes) {
+      if (this.renderedLines.has(index)) continue;
+      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      path.setAttribute('d', this.lines[index].d);
+      this.svg.appendChild(path);
+      this.renderedLines.set(index, path);
+    }
+  }
+
+  fill(element, box) {
+    element.textContent = '';
+    element.removeAttribute('class');
+    element.style.left = box.left + 'px';
+    element.style.top = box.top + 'px';
+    element.style.width = box.width + 'px';
+    element.style.height = box.height + 'px';
+    this.renderBox(element, box);
+  }
+
+  /**
+   * Redraw the boxes on screen, e.g. after the marks on them changed
+   */
+  refresh() {
+    for (const [index, element] of this.renderedBoxes) {
+      this.fill(element, this.boxes[index]);
+    }
+  }
+}
+
+// Grid cell size in pixels for finding visible boxes and lines
+TreeWindow.GRID_SIZE = 600;
@@ -0,0 +1,308 @@
+// viewport.js - Pan and zoom for a large piece of content inside a fixed frame
+// The content is moved with a CSS transform rather than scrolled, so zoom
+// can be anchored at the cursor or between two fingers
+
+class ViewportController {
+  constructor(container, content, options = {}) {
+    this.container = container;
+    this.content = content;
+    this.minScale = options.minScale || 0.1;
+    this.maxScale = options.maxScale || 2.5;
+    this.onChange = options.onChange || null;
+
+    this.x = 0;
+    this.y = 0;
+    this.scale = 1;
+
+    this.pointers = new Map();
+    this.gesture = null;
+    this.dragged = false;
+    this.animation = null;
+
+    this.content.style.transformOrigin = '0 0';
+    this.bindEvents();
+    this.apply();
+  }
+
+  bindEvents() {
+    this.container.addEventListener('pointerdown', e => this.handlePointerDown(e));
+    this.container.addEventListener('pointermove', e => this.handlePointerMove(e));
+    this.container.addEventListener('pointerup', e => this.handlePointerUp(e));
+    this.container.addEventListener('pointercancel', e => this.handlePointerUp(e));
+    this.container.addEventListener('wheel', e => this.handleWheel(e), { passive: false });
+
+    // A drag ends with a click on whatever card is under the pointer;
+    // swallow it so panning never opens a modal
+    this.container.addEventListener('click', e => {
+      if (this.dragged) {
+        e.stopPropagation();
+        e.preventDefault();
+        this.dragged = false;
+      }
+    }, true);
+  }
+
+  apply() {
+    this.content.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    if (this.onChange) this.onChange(this);
+  }
+
+  clampScale(scale) {
+    return Math.min(Math.max(scale, this.minScale), this.maxScale);
+  }
+
+  /**
+   * Move to a new position, optionally easing there over `duration` ms
+   */
+  setTransform(x, y, scale, animate = false, duration = 350) {
+    scale = this.clampScale(scale);
+    this.stopAnimation();
+
+    if (!animate || typeof requestAnimationFrame === 'undefined') {
+      this.x = x;
+      this.y = y;
+      this.scale = scale;
+      this.apply();
+      return;
+    }
+
+    const from = { x: this.x, y: this.y, scale: this.scale };
+    const start = performance.now();
+
+    const step = now => {
+      const t = Math.min(1, (now - start) / duration);
+      const eased = 1 - Math.pow(1 - t, 3);
+
+      this.x = from.x + (x - from.x) * eased;
+      this.y = from.y + (y - from.y) * eased;
+      this.scale = from.scale + (scale - from.scale) * eased;
+      this.apply();
+
+      this.animation = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    this.animation = requestAnimationFrame(step);
+  }
+
+  stopAnimation() {
+    if (this.animation) {
+      cancelAnimationFrame(this.animation);
+      this.animation = null;
+    }
+  }
+
+  panBy(dx, dy) {
+    this.setTransform(this.x + dx, this.y + dy, this.scale);
+  }
+
+  /**
+   * Zoom by `factor` keeping the content under (clientX, clientY) still;
+   * defaults to the middle of the frame
+   */
+  zoomAt(factor, clientX, clientY, animate = false) {
+    const frame = this.container.getBoundingClientRect();
+    if (clientX === undefined) {
+      clientX = frame.left + frame.width / 2;
+      clientY = frame.top + frame.height / 2;
+    }
+
+    const scale = this.clampScale(this.scale * factor);
+    const origin = this.getOrigin();
+    const pointX = (clientX - origin.left) / this.scale;
+    const pointY = (clientY - origin.top) / this.scale;
+
+    this.setTransform(
+      this.x + (clientX - pointX * scale) - origin.left,
+      this.y + (clientY - pointY * scale) - origin.top,
+      scale,
+      animate
+    );
+  }
+
+  /**
+   * Where content point (0, 0) currently is on screen
+   */
+  getOrigin() {
+    const rect = this.content.getBoundingClientRect();
+    return { left: rect.left, top: rect.top };
+  }
+
+  /**
+   * An element's box in unscaled content coordinates
+   */
+  getContentBox(element) {
+    const origin = this.getOrigin();
+    const rect = element.getBoundingClientRect();
+
+    return {
+      left: (rect.left - origin.left) / this.scale,
+      top: (rect.top - origin.top) / this.scale,
+      right: (rect.right - origin.left) / this.scale,
+      bottom: (rect.bottom - origin.top) / this.scale
+    };
+  }
+
+  /**
+   * Visible part of the content, in content coordinates
+   */
+  getVisibleBox() {
+    const frame = this.container.getBoundingClientRect();
+    const origin = this.getOrigin();
+
+    return {
+      left: (frame.left - origin.left) / this.scale,
+      top: (frame.top - origin.top) / this.scale,
+      right: (frame.right - origin.left) / this.scale,
+      bottom: (frame.bottom - origin.top) / this.scale
+    };
+  }
+
+  /**
+   * Show a content box as large as fits (never above maxScale), centred
+   */
+  fitBox(box, animate = true, padding = 40, maxScale = 1) {
+    const frame = this.container.getBoundingClientRect();
+    const width = Math.max(box.right - box.left, 1);
+    const height = Math.max(box.bottom - box.top, 1);
+    const scale = this.clampScale(Math.min(
+      (frame.width - padding * 2) / width,
+      (frame.height - padding * 2) / height,
+      maxScale
+    ));
+
+    this.centerBox(box, scale, animate);
+  }
+
+  /**
+   * Centre a content box in the frame at the given scale
+   */
+  centerBox(box, scale = this.scale, animate = true) {
+    const frame = this.container.getBoundingClientRect();
+    const origin = this.getOrigin();
+
+    // Static position of the content, i.e. where it sits with no transform
+    const staticLeft = origin.left - this.x;
+    const staticTop = origin.top - this.y;
+    const centerX = (box.left + box.right) / 2;
+    const centerY = (box.top + box.bottom) / 2;
+
+    this.setTransform(
+      frame.left + frame.width / 2 - staticLeft - centerX * scale,
+      frame.top + frame.height / 2 - staticTop - centerY * scale,
+      scale,
+      animate
+    );
+  }
+
+  fitAll(animate = true) {
+    this.fitBox({
+      left: 0,
+      top: 0,
+      right: this.content.offsetWidth,
+      bottom: this.content.offsetHeight
+    }, animate);
+  }
+
+  /**
+   * Frame a set of content boxes, zooming out if they do not fit
+   */
+  zoomToBoxes(boxes, animate = true) {
+    if (boxes.length === 0) return false;
+
+    this.fitBox({
+      left: Math.min(...boxes.map(box => box.left)),
+      top: Math.min(...boxes.map(box => box.top)),
+      right: Math.max(...boxes.map(box => box.right)),
+      bottom: Math.max(...boxes.map(box => box.bottom))
+    }, animate, 80, Math.max(this.scale, 1));
+    return true;
+  }
+
+  centerOn(element, animate = true) {
+    this.centerBox(this.getContentBox(element), this.scale, animate);
+  }
+
+  reset(animate = false) {
+    this.setTransform(0, 0, 1, animate);
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (e.target.closest('button, input, select, textarea')) return;
+
+    this.stopAnimation();
+    if (this.pointers.size === 0) this.dragged = false;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.startGesture();
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const gesture = this.gesture;
+    const current = this.describePointers();
+
+    if (!this.dragged) {
+      const moved = Math.hypot(current.x - gesture.x, current.y - gesture.y);
+      if (moved < 4 && this.pointers.size === 1) return;
+
+      this.dragged = true;
+      this.container.classList.add('panning');
+      if (this.container.setPointerCapture) this.container.setPointerCapture(e.pointerId);
+    }
+
+    // Two fingers: scale by the change in spread around their midpoint,
+    // then follow the midpoint so the pinch also pans
+    if (this.pointers.size > 1 && gesture.distance > 0) {
+      const factor = current.distance / gesture.distance;
+      this.zoomAt(factor, gesture.x, gesture.y);
+    }
+    this.panBy(current.x - gesture.x, current.y - gesture.y);
+    this.startGesture();
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    if (this.pointers.size > 0) {
+      this.startGesture();
+    } else {
+      this.gesture = null;
+      this.container.classList.remove('panning');
+    }
+  }
+
+  startGesture() {
+    this.gesture = this.describePointers();
+  }
+
+  /**
+   * Midpoint and spread of the active pointers
+   */
+  describePointers() {
+    const points = [...this.pointers.values()];
+    const x = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+    const y = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+    const distance = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0;
+    return { x, y, distance };
+  }
+
+  /**
+   * Wheel zooms at the cursor; trackpad pinches arrive as ctrl+wheel with
+   * small deltas, so they get a stronger factor. Shift+wheel pans.
+   */
+  handleWheel(e) {
+    e.preventDefault();
+    this.stopAnimation();
+
+    if (e.shiftKey) {
+      this.panBy(-e.deltaX || -e.deltaY, 0);
+      return;
+    }
+
+    const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const factor = Math.exp(-pixels * (e.ctrlKey ? 0.01 : 0.0015));
+    this.zoomAt(factor, e.clientX, e.clientY);
+  }
+}